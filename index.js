@@ -8,493 +8,3852 @@
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { CallToolRequestSchema, ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import {
+  CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  isInitializeRequest,
+} from "@modelcontextprotocol/sdk/types.js";
+import { randomUUID, timingSafeEqual } from "crypto";
+import { statSync } from "fs";
+import { mkdir, readdir, readFile, rename, rm, stat, writeFile } from "fs/promises";
+import { createRequire } from "module";
+import { createServer } from "http";
+import { homedir } from "os";
+import { extname, join, resolve, sep } from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import pixelmatch from "pixelmatch";
 import playwright from "playwright";
+import { PNG } from "pngjs";
 import TurndownService from "turndown";
 
+const require = createRequire(import.meta.url);
+const AXE_SCRIPT_PATH = require.resolve("axe-core/axe.min.js");
+
 // ============================================================================
-// StorybookBrowser – connects to a Storybook site and fetches docs/stories
+// Errors – categories reported to clients as isError tool results
 // ============================================================================
 
-class StorybookBrowser {
-  constructor(config) {
-    this.config = { headless: true, timeout: 30000, ...config };
-    this.browser = null;
-    this.context = null;
-    this.page = null;
-    this.storybookInfo = null;
-    this.cachedNavigation = null;
-    this.navigationCacheTime = 0;
-    this.CACHE_TTL = 5 * 60 * 1000;
-    this.turndown = new TurndownService({ headingStyle: "atx", codeBlockStyle: "fenced" });
+/**
+ * A failure with a category clients can act on: not_found, render_error, timeout, auth,
+ * connection, browser, not_connected, invalid_input or internal. `suggestions` holds
+ * close matches for unknown IDs; `consoleErrors` what the preview logged meanwhile.
+ */
+class StorybookError extends Error {
+  constructor(category, message, { suggestions = [], consoleErrors = [], cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "StorybookError";
+    this.category = category;
+    this.suggestions = suggestions;
+    this.consoleErrors = consoleErrors;
   }
+}
 
-  async initialize() {
-    if (this.browser) return;
-    this.browser = await playwright.chromium.launch({ headless: this.config.headless });
-    this.context = await this.browser.newContext();
-    this.page = await this.context.newPage();
-    this.page.setDefaultTimeout(this.config.timeout);
-    await this.detectStorybookVersion();
+// Wraps anything thrown into a StorybookError, guessing the category from Playwright/fetch messages.
+function toStorybookError(error, { consoleErrors = [] } = {}) {
+  if (error instanceof StorybookError) {
+    if (consoleErrors.length && !error.consoleErrors.length) error.consoleErrors = consoleErrors;
+    return error;
   }
-
-  async close() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-      this.context = null;
-      this.page = null;
-      this.storybookInfo = null;
-      this.cachedNavigation = null;
-      this.navigationCacheTime = 0;
-    }
+  const message = error?.message || String(error);
+  let category = "internal";
+  let hint = "";
+  if (error?.name === "TimeoutError" || /Timeout \d+ms exceeded/.test(message)) {
+    category = "timeout";
+    hint = " The Storybook may be slow or stuck; run the diagnose tool to check it.";
+  } else if (/Executable doesn't exist|browserType\.launch|playwright install/i.test(message)) {
+    category = "browser";
+    hint = " Install Chromium with `npx playwright install chromium`.";
+  } else if (/ECONNREFUSED|ENOTFOUND|EAI_AGAIN|ECONNRESET|fetch failed|net::ERR_/.test(message)) {
+    category = "connection";
+    hint = " Check that the Storybook is running and reachable from this machine.";
   }
+  return new StorybookError(category, message.split("\n")[0].replace(/([^.])$/, "$1.") + hint, { consoleErrors, cause: error });
+}
 
-  async ensurePageReady() {
-    if (!this.page || !this.browser) throw new Error("Storybook browser not connected");
-    try {
-      await this.page.evaluate(() => true);
-    } catch {
-      this.context = await this.browser.newContext();
-      this.page = await this.context.newPage();
-      this.page.setDefaultTimeout(this.config.timeout);
-    }
-    return this.page;
+function errorResult(error) {
+  const e = toStorybookError(error);
+  let text = `Error [${e.category}]: ${e.message}`;
+  if (e.suggestions.length) text += `\n\nDid you mean:\n${e.suggestions.map(id => `- \`${id}\``).join("\n")}`;
+  if (e.consoleErrors.length) {
+    text += `\n\nConsole errors (${e.consoleErrors.length}):\n${e.consoleErrors.slice(0, 10).map(m => `- ${m.split("\n")[0]}`).join("\n")}`;
   }
+  return { isError: true, content: [{ type: "text", text }] };
+}
 
-  async detectStorybookVersion() {
-    if (this.storybookInfo) return this.storybookInfo;
-    
-    const page = this.page;
-    const baseUrl = this.config.baseUrl.replace(/\/$/, "");
-    let hasIndexJson = false, usesStoryPath = false, version = "unknown";
-    
-    try {
-      const indexUrl = baseUrl.replace("index.html", "").replace(/\/$/, "") + "/index.json";
-      const response = await fetch(indexUrl);
-      if (response.headers.get("content-type")?.includes("application/json") && response.ok) {
-        const data = await response.json();
-        hasIndexJson = true;
-        version = data.v === 5 ? "v7" : data.v === 4 ? "v6" : (data.entries || data.stories) ? "v6" : "unknown";
-      }
-    } catch {}
-    
-    try {
-      await this.safeNavigate(baseUrl);
-      await page.waitForTimeout(2000);
-      const currentUrl = page.url();
-      usesStoryPath = currentUrl.includes("path=/story/") || currentUrl.includes("path=%2Fstory%2F");
-      
-      const sidebarLinks = await page.evaluate(() => 
-        Array.from(document.querySelectorAll('a[href*="path="]')).slice(0, 5).map(l => l.getAttribute("href") || "")
-      );
-      if (sidebarLinks.some(href => href.includes("/story/"))) {
-        usesStoryPath = true;
-        if (!hasIndexJson) version = "v5";
-      }
-    } catch (e) {
-      console.error("Error detecting Storybook version:", e);
-    }
-    
-    this.storybookInfo = { version, hasIndexJson, usesStoryPath, usesIframeDocs: !usesStoryPath && hasIndexJson };
-    console.error(`Detected Storybook: version=${version}, hasIndexJson=${hasIndexJson}, usesStoryPath=${usesStoryPath}`);
-    return this.storybookInfo;
+// Collects console errors and uncaught exceptions raised on `page` until stop() is called.
+function watchPageErrors(page) {
+  const errors = [];
+  const onConsole = msg => { if (msg.type() === "error") errors.push(msg.text()); };
+  const onPageError = error => { errors.push(error.message || String(error)); };
+  page.on("console", onConsole);
+  page.on("pageerror", onPageError);
+  return { errors, stop: () => { page.off("console", onConsole); page.off("pageerror", onPageError); } };
+}
+
+// ============================================================================
+// Story rendering helpers – args/globals URL encoding and viewport presets
+// ============================================================================
+
+const VIEWPORT_PRESETS = {
+  mobile: { width: 375, height: 667 },
+  tablet: { width: 768, height: 1024 },
+  desktop: { width: 1280, height: 800 },
+  wide: { width: 1920, height: 1080 },
+};
+
+/**
+ * Init script for every preview page. Records Storybook channel traffic into
+ * `window.__STORYBOOK_MCP__` from the moment the preview assigns its channel, so tools can
+ * read render phases, play-function calls, exceptions and generated source snippets
+ * no matter how early the preview emitted them.
+ */
+function previewRecorderScript() {
+  const record = window.__STORYBOOK_MCP__ = { channel: false, calls: {}, order: [], logItems: null, phases: [], error: null, rendered: false, docsRendered: false, snippets: {}, done: false };
+  const terminal = ["completed", "errored", "aborted"];
+  const attach = channel => {
+    if (!channel || channel.__mcpRecorder) return;
+    channel.__mcpRecorder = true;
+    record.channel = true;
+    channel.on("storybook/instrumenter/call", call => {
+      if (!record.calls[call.id]) record.order.push(call.id);
+      record.calls[call.id] = call;
+    });
+    channel.on("storybook/instrumenter/sync", ({ logItems }) => { if (logItems) record.logItems = logItems; });
+    channel.on("storyRenderPhaseChanged", ({ newPhase }) => {
+      record.phases.push(newPhase);
+      if (terminal.includes(newPhase)) record.done = true;
+    });
+    channel.on("storyRendered", () => { record.rendered = true; });
+    channel.on("docsRendered", () => { record.docsRendered = true; });
+    // Storybook 6 emits (id, source); 7+ emits ({ id, source, format }).
+    channel.on("storybook/docs/snippet-rendered", (payload, legacySource) => {
+      const snippet = typeof payload === "string" ? { id: payload, source: legacySource } : payload || {};
+      if (snippet.id && snippet.source) record.snippets[snippet.id] = { source: snippet.source, format: snippet.format || null };
+    });
+    const fail = error => { record.error = { message: error?.message || String(error), stack: error?.stack || "" }; record.done = true; };
+    channel.on("playFunctionThrewException", fail);
+    channel.on("storyThrewException", fail);
+    channel.on("storyErrored", ({ title, description } = {}) => fail({ message: [title, description].filter(Boolean).join(": ") }));
+  };
+  let current;
+  Object.defineProperty(window, "__STORYBOOK_ADDONS_CHANNEL__", {
+    configurable: true,
+    get: () => current,
+    set: value => { current = value; attach(value); },
+  });
+}
+
+const RENDERER_LANGUAGES = { react: "jsx", preact: "jsx", solid: "jsx", vue: "vue", vue3: "vue", angular: "html", svelte: "svelte", "web-components": "html", html: "html", ember: "handlebars" };
+
+const SOURCE_FILE_LANGUAGES = { ".tsx": "tsx", ".ts": "ts", ".mts": "ts", ".jsx": "jsx", ".js": "js", ".mjs": "js", ".cjs": "js", ".mdx": "mdx", ".svelte": "svelte", ".vue": "vue" };
+
+// CSF source is labeled by its story file's extension; generated snippets by their format or the renderer.
+function sourceLanguage({ kind, format, renderer, importPath }) {
+  if (kind === "story-source" && importPath) {
+    const language = SOURCE_FILE_LANGUAGES[extname(importPath).toLowerCase()];
+    if (language) return language;
   }
+  if (typeof format === "string" && format !== "true") return format;
+  const key = String(renderer || "").toLowerCase().replace(/^@storybook\//, "").replace(/-(vite|webpack5?)$/, "");
+  return RENDERER_LANGUAGES[key] || "jsx";
+}
 
-  async safeNavigate(url) {
-    const page = await this.ensurePageReady();
-    const strategies = ["domcontentloaded", "load", "networkidle"];
-    let lastError = null;
-    
-    for (const waitUntil of strategies) {
-      try {
-        await page.goto(url, { waitUntil, timeout: this.config.timeout });
-        return;
-      } catch (e) {
-        lastError = e;
-        if (e.message?.includes("net::ERR_ABORTED") || e.message?.includes("Timeout")) continue;
-        throw e;
-      }
+const SAFE_URL_VALUE = /^[a-zA-Z0-9 _-]*$/;
+
+/**
+ * Splits args/globals into the part Storybook accepts in the `&args=`/`&globals=`
+ * query (`key:value;flag:!true;nested.key:value`) and the values it would drop,
+ * which have to be applied through the preview channel instead.
+ */
+function serializeStoryArgs(values) {
+  const pairs = [];
+  const unsafe = {};
+  const encode = (key, value) => {
+    if (value === null) return `${key}:!null`;
+    if (value === undefined) return `${key}:!undefined`;
+    if (typeof value === "boolean") return `${key}:!${value}`;
+    if (typeof value === "number" && Number.isFinite(value)) return `${key}:${value}`;
+    if (typeof value === "string" && SAFE_URL_VALUE.test(value)) return `${key}:${value.replace(/ /g, "+")}`;
+    if (typeof value === "string" && /^#[0-9a-fA-F]{3,8}$/.test(value)) return `${key}:!hex(${value.slice(1)})`;
+    if (Array.isArray(value)) {
+      const parts = value.map((v, i) => encode(`${key}[${i}]`, v));
+      return parts.every(Boolean) ? parts.join(";") : null;
     }
-    
-    try {
-      await page.goto(url, { waitUntil: "commit", timeout: this.config.timeout });
-      await page.waitForTimeout(3000);
-    } catch {
-      throw lastError || new Error(`Failed to navigate to ${url}`);
+    if (typeof value === "object") {
+      const parts = Object.entries(value).map(([k, v]) => SAFE_URL_VALUE.test(k) ? encode(`${key}.${k}`, v) : null);
+      return parts.every(Boolean) ? parts.join(";") : null;
     }
+    return null;
+  };
+  for (const [key, value] of Object.entries(values || {})) {
+    const encoded = SAFE_URL_VALUE.test(key) ? encode(key, value) : null;
+    if (encoded) pairs.push(encoded);
+    else unsafe[key] = value;
   }
+  return { query: pairs.join(";"), unsafe };
+}
 
-  buildStoryUrl(storyId, mode = "docs") {
-    const baseUrl = this.config.baseUrl.replace("index.html", "").replace(/\?.*$/, "").replace(/\/$/, "");
-    let cleanId = storyId.replace(/^\/story\//, "").replace(/^\/docs\//, "").replace(/^\//, "");
-    
-    if (this.storybookInfo?.usesStoryPath || this.storybookInfo?.version === "v5") {
-      return `${baseUrl}/iframe.html?id=${cleanId}`;
-    }
-    
-    const viewMode = mode === "docs" || cleanId.includes("--docs") ? "docs" : "story";
-    if (viewMode === "docs" && !cleanId.includes("--docs") && !cleanId.includes("--color")) {
-      cleanId = cleanId + "--docs";
-    }
-    return `${baseUrl}/iframe.html?viewMode=${viewMode}&id=${cleanId}`;
+function resolveViewport(viewport) {
+  if (!viewport) return null;
+  if (typeof viewport === "object") {
+    const width = Number(viewport.width), height = Number(viewport.height);
+    if (!width || !height) throw new StorybookError("invalid_input", "Viewport objects need numeric width and height.");
+    return { viewport: { width, height }, device: null };
   }
+  const preset = VIEWPORT_PRESETS[viewport.toLowerCase()];
+  if (preset) return { viewport: preset, device: null };
+  const device = playwright.devices[viewport];
+  if (device) return { viewport: device.viewport, device };
+  throw new StorybookError("invalid_input", `Unknown viewport "${viewport}". Use ${Object.keys(VIEWPORT_PRESETS).join(", ")}, a Playwright device name, or { width, height }.`);
+}
 
-  async discoverNavigation() {
-    const page = await this.ensurePageReady();
-    await this.safeNavigate(this.config.baseUrl);
-    await page.waitForTimeout(3000);
+const IMAGE_MIME_TYPES = { png: "image/png", jpeg: "image/jpeg", webp: "image/webp" };
+const MAX_MATRIX_CELLS = 16;
 
-    await page.evaluate(() => {
-      document.querySelectorAll('button[aria-expanded="false"]').forEach(btn => btn.click());
-      document.querySelectorAll('[data-nodetype="group"]').forEach(el => el.click());
-    });
-    await page.waitForTimeout(2000);
+// Computed styles inspect_story reports: what it takes to reproduce a component's look and box.
+const INSPECT_STYLE_PROPERTIES = [
+  "display", "position", "box-sizing", "width", "height", "min-width", "min-height", "max-width",
+  "margin", "padding", "gap", "flex-direction", "align-items", "justify-content",
+  "color", "background-color", "background-image", "opacity",
+  "border", "border-radius", "outline", "box-shadow",
+  "font-family", "font-size", "font-weight", "line-height", "letter-spacing", "text-align", "text-transform", "text-decoration",
+  "cursor", "transition",
+];
 
-    const isOld = this.storybookInfo?.usesStoryPath || this.storybookInfo?.version === "v5";
-    const navItems = await page.evaluate((isOldStorybook) => {
-      const items = [];
-
-      document.querySelectorAll('[data-item-id]').forEach(el => {
-        const itemId = el.getAttribute("data-item-id") || "";
-        const name = el.textContent?.trim() || "";
-        if (name && itemId && !itemId.startsWith("group-")) {
-          items.push({ name, storybookPath: itemId, type: itemId.includes("--docs") ? "docs" : "story" });
-        }
-      });
+function viewportLabel(viewport) {
+  if (!viewport) return "default";
+  return typeof viewport === "object" ? `${viewport.width}×${viewport.height}` : viewport;
+}
 
-      document.querySelectorAll('a[href*="path="]').forEach(el => {
-        const name = el.textContent?.trim() || "";
-        const href = decodeURIComponent(el.getAttribute("href") || "");
-        const pathMatch = href.match(/path=([^&]+)/);
-        if (name && pathMatch) {
-          let storyPath = pathMatch[1].replace("/story/", "").replace("/docs/", "");
-          if (!items.some(i => i.storybookPath === storyPath)) {
-            items.push({ name, storybookPath: storyPath, type: storyPath.includes("--docs") ? "docs" : "story" });
-          }
-        }
-      });
+function globalsLabel(globals) {
+  return globals && Object.keys(globals).length ? Object.entries(globals).map(([key, value]) => `${key}=${value}`).join(", ") : "";
+}
 
-      if (isOldStorybook || items.length < 10) {
-        document.querySelectorAll('[data-name]').forEach(el => {
-          const name = el.getAttribute("data-name") || el.textContent?.trim() || "";
-          const href = el.href || "";
-          const pathMatch = decodeURIComponent(href).match(/path=([^&]+)/);
-          if (name && pathMatch) {
-            const storyPath = pathMatch[1].replace("/story/", "").replace("/docs/", "");
-            if (!items.some(i => i.storybookPath === storyPath)) {
-              items.push({ name, storybookPath: storyPath, type: "story" });
-            }
-          }
-        });
-      }
-      return items;
-    }, isOld);
+/**
+ * Validates screenshot output options. `crop` is "full" (whole page), "viewport", "root"
+ * (the story or docs root) or a CSS selector; `scale` is the device scale factor.
+ */
+function screenshotOptions({ crop = "full", scale, format = "png", quality } = {}) {
+  if (!IMAGE_MIME_TYPES[format]) throw new StorybookError("invalid_input", `Unknown image format "${format}". Use png, jpeg or webp.`);
+  if (scale !== undefined && !(scale >= 0.5 && scale <= 4)) throw new StorybookError("invalid_input", "scale must be between 0.5 and 4.");
+  if (quality !== undefined && !(quality >= 1 && quality <= 100)) throw new StorybookError("invalid_input", "quality must be between 1 and 100.");
+  return { crop, scale, format, quality: format === "png" ? undefined : quality ?? 80 };
+}
 
-    if (navItems.length < 20) {
-      try {
-        const indexUrl = this.config.baseUrl.replace("index.html", "").replace(/\/$/, "") + "/index.json";
-        const response = await fetch(indexUrl);
-        if (response.headers.get("content-type")?.includes("application/json") && response.ok) {
-          const data = await response.json();
-          const entries = data.entries || data.stories || {};
-          Object.entries(entries).forEach(([id, entry]) => {
-            const type = entry.type || (id.includes("--docs") ? "docs" : "story");
-            const name = entry.name || entry.title || id.split("--").pop() || id;
-            if (!navItems.some(i => i.storybookPath === id)) {
-              navItems.push({ name, storybookPath: id, type });
-            }
-          });
-        }
-      } catch {}
-    }
+// ============================================================================
+// StorybookCache – index.json and extracted docs persisted per Storybook URL
+// ============================================================================
 
-    const categories = {};
-    const flatList = [];
+const DEFAULT_CACHE_DIR = (process.env.STORYBOOK_CACHE_DIR || "").trim() || join(homedir(), ".cache", "storybook-mcp");
 
-    navItems.forEach(item => {
-      const navItem = { name: item.name, storybookPath: item.storybookPath, type: item.type };
-      flatList.push(navItem);
-      const path = (item.storybookPath || "").toLowerCase();
-      let category = "other";
-      if (path.includes("components-")) category = "components";
-      else if (path.includes("getting-started-")) category = "getting-started";
-      else if (path.includes("--")) category = path.split("--")[0] || "other";
-      if (!categories[category]) categories[category] = [];
-      categories[category].push(navItem);
-    });
+// Filesystem-safe key for a Storybook URL, shared by the cache and snapshot directories.
+function storybookKey(baseUrl) {
+  const u = new URL(baseUrl);
+  return (u.host + u.pathname.replace(/index\.html$/, "")).replace(/[^a-zA-Z0-9_.-]+/g, "_").replace(/_+$/, "");
+}
 
-    return {
-      categories: Object.entries(categories).map(([name, children]) => ({ name, storybookPath: null, type: "category", children })),
-      flatList,
-    };
+/**
+ * Fingerprints every index entry from the fields that change what gets rendered:
+ * its own import path, title and name plus those of its siblings (same title), so a
+ * docs page is invalidated when a story is added to or removed from its component.
+ */
+function fingerprintEntries(entries) {
+  const own = {}, byTitle = {};
+  for (const [id, entry] of Object.entries(entries || {})) {
+    own[id] = `${entry.importPath || ""}|${entry.title || ""}|${entry.name || ""}`;
+    (byTitle[entry.title || id] ||= []).push(`${id}=${own[id]}`);
+  }
+  const fingerprints = {};
+  for (const [id, entry] of Object.entries(entries || {})) {
+    fingerprints[id] = own[id] + "#" + byTitle[entry.title || id].sort().join(",");
   }
+  return fingerprints;
+}
 
-  async getPageContent(storybookPath, format = "structured") {
-    const page = await this.ensurePageReady();
-    const docId = storybookPath.replace(/^\/docs\//, "").replace(/^\/story\//, "").replace(/^\//, "");
-    const iframeUrl = this.buildStoryUrl(docId, "docs");
+// One StorybookCache per cache file, so connections to the same Storybook (from several
+// aliases or HTTP sessions) share its data and saves instead of overwriting each other.
+const sharedCaches = new Map();
 
-    try {
-      await this.safeNavigate(iframeUrl);
-      await page.waitForTimeout(2000);
-
-      const content = await page.evaluate(() => {
-        const result = { title: "", description: "", sections: [], codeBlocks: [], tables: [], html: "" };
-        const allH1s = document.querySelectorAll("h1");
-        for (const h1 of allH1s) {
-          const text = h1.textContent?.trim() || "";
-          if (text && text !== "No Preview" && !text.includes("Sorry, but")) { result.title = text; break; }
-        }
-        document.querySelectorAll("pre code").forEach(codeEl => {
-          const code = codeEl.textContent?.trim() || "";
-          const language = codeEl.className.match(/language-(\w+)/)?.[1] || "html";
-          if (code) result.codeBlocks.push({ language, code });
-        });
-        const body = document.body.cloneNode(true);
-        [".sb-errordisplay", ".sb-preparing-story"].forEach(sel => body.querySelectorAll(sel).forEach(el => el.remove()));
-        result.html = body.innerHTML;
-        return result;
-      });
+// IDs added, removed or changed between two fingerprintEntries() results.
+function changedEntryIds(previous = {}, next = {}) {
+  return [...new Set([...Object.keys(previous), ...Object.keys(next)])].filter(id => previous[id] !== next[id]);
+}
 
-      if (format === "markdown") {
-        const rawMarkdown = this.cleanMarkdown(this.turndown.turndown(content.html));
-        return { ...content, rawMarkdown };
-      }
-      return content;
-    } catch (error) {
-      console.error(`Failed to get page content for ${storybookPath}:`, error);
-      return null;
-    }
+class StorybookCache {
+  static for(baseUrl, dir = DEFAULT_CACHE_DIR) {
+    const file = join(dir, storybookKey(baseUrl) + ".json");
+    if (!sharedCaches.has(file)) sharedCaches.set(file, new StorybookCache(baseUrl, dir));
+    return sharedCaches.get(file);
   }
 
-  async getComponentDocs(storybookPath) {
-    const page = await this.ensurePageReady();
-    const docId = storybookPath.replace(/^\/docs\//, "").replace(/^\/story\//, "").replace(/^\//, "");
-    const iframeUrl = this.buildStoryUrl(docId, "docs");
+  constructor(baseUrl, dir = DEFAULT_CACHE_DIR) {
+    this.baseUrl = baseUrl;
+    this.dir = dir;
+    this.file = join(dir, storybookKey(baseUrl) + ".json");
+    this.data = null;
+    this.revision = 0;
+    this.queuedSave = null;
+    this.lastSave = null;
+  }
 
+  async load() {
+    if (this.data) return this.data;
     try {
-      await this.safeNavigate(iframeUrl);
-      await page.waitForTimeout(2000);
-
-      return await page.evaluate(() => {
-        const result = { name: "", description: "", props: [], examples: [] };
-        const allH1s = document.querySelectorAll("h1");
-        for (const h1 of allH1s) {
-          const text = h1.textContent?.trim() || "";
-          if (text && text !== "No Preview") { result.name = text; break; }
-        }
-        document.querySelectorAll("pre code").forEach((codeEl, i) => {
-          const code = codeEl.textContent?.trim() || "";
-          if (code && code.length < 2000) result.examples.push({ title: `Example ${i + 1}`, code });
-        });
-        return result;
-      });
-    } catch (error) {
-      console.error(`Failed to get component docs for ${storybookPath}:`, error);
-      return null;
+      this.data = JSON.parse(await readFile(this.file, "utf8"));
+    } catch {
+      this.data = { baseUrl: this.baseUrl, index: null, docs: {} };
     }
+    return this.data;
   }
 
-  async searchComponents(query) {
-    const now = Date.now();
-    if (!this.cachedNavigation || (now - this.navigationCacheTime) > this.CACHE_TTL) {
-      this.cachedNavigation = await this.discoverNavigation();
-      this.navigationCacheTime = now;
-    }
-    const lowerQuery = query.toLowerCase();
-    return this.cachedNavigation.flatList.filter(item =>
-      item.name.toLowerCase().includes(lowerQuery) || item.storybookPath?.toLowerCase().includes(lowerQuery)
-    );
+  /**
+   * Writes the cache through a temp file renamed into place, so readers never see a torn
+   * file. Writes are serialized; callers arriving while one is queued share it, since it
+   * serializes the data as it is when it runs.
+   */
+  async save() {
+    if (!this.data) return;
+    if (this.queuedSave) return this.queuedSave;
+    this.queuedSave = (this.lastSave || Promise.resolve()).then(async () => {
+      this.queuedSave = null;
+      if (!this.data) return;
+      const temp = `${this.file}.${process.pid}-${randomUUID()}.tmp`;
+      try {
+        await mkdir(this.dir, { recursive: true });
+        await writeFile(temp, JSON.stringify(this.data));
+        await rename(temp, this.file);
+      } catch (error) {
+        console.error(`Failed to write cache ${this.file}:`, error);
+        await rm(temp, { force: true }).catch(() => {});
+      }
+    });
+    this.lastSave = this.queuedSave;
+    return this.queuedSave;
   }
 
-  async takeScreenshot(storybookPath) {
-    const page = await this.ensurePageReady();
-    const docId = storybookPath.replace(/^\/docs\//, "").replace(/^\/story\//, "").replace(/^\//, "");
-    const isStory = docId.includes("--") && !docId.includes("--docs");
-    const iframeUrl = this.buildStoryUrl(docId, isStory ? "story" : "docs");
-    await this.safeNavigate(iframeUrl);
-    await page.waitForTimeout(2000);
-    return await page.screenshot({ fullPage: true });
+  async getIndex() {
+    return (await this.load()).index;
   }
 
-  async getFullNavigation() {
-    const baseUrl = this.config.baseUrl.replace("index.html", "").replace(/\/$/, "");
-    let entries = {};
-
-    try {
-      const response = await fetch(baseUrl + "/index.json");
-      if (response.headers.get("content-type")?.includes("application/json") && response.ok) {
-        const data = await response.json();
-        entries = data.entries || data.stories || {};
-      } else throw new Error("index.json not available");
-    } catch {
-      const nav = await this.discoverNavigation();
-      for (const item of nav.flatList) {
-        if (item.storybookPath) {
-          entries[item.storybookPath] = { type: item.type === "docs" ? "docs" : "story", name: item.name, title: item.name };
-        }
-      }
-    }
-
-    const nav = {};
-    for (const [id, entry] of Object.entries(entries)) {
-      const title = entry.title || id;
-      const parts = title.split("/");
-      const type = entry.type;
-      const name = entry.name || id.split("--").pop() || "";
-      const category = parts[0];
-      const componentName = parts.length > 1 ? parts.slice(1).join("/") : parts[0];
-      if (!nav[category]) nav[category] = {};
-      if (!nav[category][componentName]) nav[category][componentName] = { docs: null, stories: [] };
-      const storyEntry = { id, name, type, title };
-      if (type === "docs") nav[category][componentName].docs = storyEntry;
-      else if (type === "story") nav[category][componentName].stories.push(storyEntry);
+  /**
+   * Stores a freshly downloaded index and drops cached docs whose entry fingerprint
+   * changed or disappeared. Returns the IDs that were added, changed or removed.
+   */
+  async setIndex({ data, etag, lastModified }) {
+    const cache = await this.load();
+    const previous = cache.index?.fingerprints || {};
+    const fingerprints = fingerprintEntries(data.entries || data.stories);
+    const changed = changedEntryIds(previous, fingerprints);
+    for (const key of Object.keys(cache.docs)) {
+      const id = cache.docs[key].id;
+      if (cache.docs[key].fingerprint !== fingerprints[id]) delete cache.docs[key];
     }
+    const revalidatorsChanged = cache.index?.etag !== etag || cache.index?.lastModified !== lastModified;
+    cache.index = { data, etag, lastModified, fingerprints, fetchedAt: new Date().toISOString() };
+    if (changed.length > 0) this.revision++;
+    if (changed.length > 0 || revalidatorsChanged) await this.save();
+    return changed;
+  }
 
-    const categories = [];
-    let totalDocs = 0, totalStories = 0;
-    for (const categoryName of Object.keys(nav).sort()) {
-      const components = [];
-      for (const [componentName, data] of Object.entries(nav[categoryName]).sort((a, b) => a[0].localeCompare(b[0]))) {
-        if (data.docs) totalDocs++;
-        totalStories += data.stories.length;
-        components.push({ name: componentName, path: data.docs?.id || data.stories[0]?.id || "", docs: data.docs, stories: data.stories });
-      }
-      categories.push({ name: categoryName, components });
-    }
-    return { categories, totalDocs, totalStories, totalEntries: totalDocs + totalStories };
+  async getDocs(id, variant) {
+    const cache = await this.load();
+    const hit = cache.docs[`${variant}:${id}`];
+    if (!hit || !cache.index || hit.fingerprint !== cache.index.fingerprints[id]) return null;
+    return hit.content;
   }
 
-  async getComponentEntries(componentPath) {
-    const fullNav = await this.getFullNavigation();
-    for (const category of fullNav.categories) {
-      for (const component of category.components) {
-        if (component.path.includes(componentPath) || component.name.toLowerCase().includes(componentPath.toLowerCase())) {
-          return { component, category: category.name };
-        }
-      }
-    }
-    return { component: null, category: null };
+  async setDocs(id, variant, content) {
+    const cache = await this.load();
+    const fingerprint = cache.index?.fingerprints[id];
+    // Without an index entry there is nothing to revalidate against, so don't persist.
+    if (!fingerprint || cache.docs[`${variant}:${id}`]?.fingerprint === fingerprint) return;
+    // The raw page HTML is only an extraction intermediate and would dominate the file.
+    const { html, ...stored } = content;
+    cache.docs[`${variant}:${id}`] = { id, fingerprint, content: stored, extractedAt: new Date().toISOString() };
+    this.revision++;
+    await this.save();
   }
 
-  async getStoryContent(storyId) {
-    const page = await this.ensurePageReady();
-    const cleanId = storyId.replace(/^\/story\//, "").replace(/^\/docs\//, "").replace(/^\//, "");
-    const isDocsPage = cleanId.includes("--docs") || cleanId.includes("--color");
-    const iframeUrl = this.buildStoryUrl(cleanId, isDocsPage ? "docs" : "story");
+  async allDocs() {
+    return Object.values((await this.load()).docs);
+  }
 
+  static async list(dir = DEFAULT_CACHE_DIR) {
+    let files = [];
     try {
-      await this.safeNavigate(iframeUrl);
-      await page.waitForTimeout(2000);
-
-      const content = await page.evaluate(() => {
-        const result = { title: "", description: "", sections: [], codeBlocks: [], tables: [], html: "" };
-        for (const h1 of document.querySelectorAll("h1")) {
-          const text = h1.textContent?.trim() || "";
-          if (text && text !== "No Preview") { result.title = text; break; }
-        }
-        document.querySelectorAll("pre code").forEach(codeEl => {
-          const code = codeEl.textContent?.trim() || "";
-          if (code && code.length < 5000) result.codeBlocks.push({ language: codeEl.className.match(/language-(\w+)/)?.[1] || "html", code });
+      files = (await readdir(dir)).filter(f => f.endsWith(".json"));
+    } catch {
+      return [];
+    }
+    const summaries = [];
+    for (const file of files) {
+      try {
+        const path = join(dir, file);
+        const info = await stat(path);
+        const data = JSON.parse(await readFile(path, "utf8"));
+        const entries = data.index?.data?.entries || data.index?.data?.stories || {};
+        summaries.push({
+          file: path,
+          baseUrl: data.baseUrl,
+          size: info.size,
+          entries: Object.keys(entries).length,
+          docs: Object.keys(data.docs || {}).length,
+          fetchedAt: data.index?.fetchedAt || null,
+          etag: data.index?.etag || null,
         });
-        result.html = document.body.innerHTML;
-        return result;
-      });
-
-      const rawMarkdown = this.cleanMarkdown(this.turndown.turndown(content.html));
-      return { ...content, rawMarkdown };
-    } catch (error) {
-      console.error(`Failed to get story content for ${storyId}:`, error);
-      return null;
+      } catch {}
     }
+    return summaries;
   }
 
-  cleanMarkdown(markdown) {
-    const patterns = [/^Name\s*$/gm, /^Description\s*$/gm, /^Default\s*$/gm, /^Control\s*$/gm, /^Copy\s*$/gm, /# No Preview[\s\S]*?(?=# [A-Z])/g];
-    let cleaned = markdown;
-    patterns.forEach(p => { cleaned = cleaned.replace(p, ""); });
-    return cleaned.replace(/\n{4,}/g, "\n\n\n").trim();
+  async clear() {
+    this.data = null;
+    this.revision++;
+    await rm(this.file, { force: true });
+  }
+
+  static async clearAll(dir = DEFAULT_CACHE_DIR) {
+    const summaries = await StorybookCache.list(dir);
+    for (const summary of summaries) {
+      const shared = sharedCaches.get(summary.file);
+      if (shared) await shared.clear();
+      else await rm(summary.file, { force: true });
+    }
+    return summaries.length;
   }
 }
 
 // ============================================================================
-// MCP Server
+// SearchIndex – BM25 ranking with fuzzy matching over names, tags and docs text
 // ============================================================================
 
-let storybookBrowser = null;
-let currentStorybookUrl = (process.env.STORYBOOK_URL || "").trim() || null;
-if (currentStorybookUrl && !isValidStorybookUrl(currentStorybookUrl)) currentStorybookUrl = null;
+const SEARCH_FIELD_WEIGHTS = { name: 3, title: 2, tags: 2, id: 1, body: 1 };
+const STOP_WORDS = new Set(["a", "an", "and", "the", "of", "on", "in", "to", "for", "with", "or", "is", "how"]);
 
-function isValidStorybookUrl(url) {
-  if (!url || typeof url !== "string") return false;
-  const trimmed = url.trim();
-  try {
-    const u = new URL(trimmed);
-    return u.protocol === "http:" || u.protocol === "https:";
-  } catch {
-    return false;
+function tokenize(text) {
+  return String(text || "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t && !STOP_WORDS.has(t));
+}
+
+// "date-picker" also indexes "datepicker" so either spelling finds it.
+function withCompounds(tokens) {
+  const compounds = [];
+  for (let i = 0; i < tokens.length - 1; i++) compounds.push(tokens[i] + tokens[i + 1]);
+  return [...tokens, ...compounds];
+}
+
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
   }
+  return previous[b.length];
 }
 
-async function getStorybookBrowser() {
-  if (!currentStorybookUrl) throw new Error("No Storybook URL configured. Use the connect tool first with a url.");
-  if (!storybookBrowser) {
-    storybookBrowser = new StorybookBrowser({ baseUrl: currentStorybookUrl, headless: true, timeout: 30000 });
-    await storybookBrowser.initialize();
+function highlightSnippet(text, terms, radius = 80) {
+  const flat = String(text || "").replace(/\s+/g, " ").trim();
+  if (!flat) return "";
+  const lower = flat.toLowerCase();
+  let at = -1;
+  for (const term of terms) {
+    const i = lower.indexOf(term);
+    if (i !== -1 && (at === -1 || i < at)) at = i;
   }
-  return storybookBrowser;
+  if (at === -1) return "";
+  const start = Math.max(0, at - radius);
+  const end = Math.min(flat.length, at + radius);
+  let snippet = (start > 0 ? "…" : "") + flat.slice(start, end) + (end < flat.length ? "…" : "");
+  const pattern = new RegExp(`(${[...terms].sort((x, y) => y.length - x.length).map(t => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})`, "gi");
+  return snippet.replace(pattern, "**$1**");
 }
 
-async function reconnectStorybookBrowser(url) {
-  if (!isValidStorybookUrl(url)) throw new Error("Invalid URL. Use a valid http or https Storybook URL.");
-  if (storybookBrowser) { await storybookBrowser.close(); storybookBrowser = null; }
-  currentStorybookUrl = url.trim();
-  await getStorybookBrowser();
+/**
+ * True when `tags` has every wanted tag; a wanted tag prefixed with "!" must be absent
+ * (["experimental", "!deprecated"]). Comparison is case-insensitive.
+ */
+function matchesTags(tags, wanted) {
+  const have = new Set((tags || []).map(t => t.toLowerCase()));
+  return (wanted || []).every(tag => {
+    const t = tag.toLowerCase();
+    return t.startsWith("!") ? !have.has(t.slice(1)) : have.has(t);
+  });
 }
 
-const TOOLS = [
+/**
+ * In-memory BM25 index. Each document is { id, name, title, type, category, tags, body };
+ * field term frequencies are weighted by SEARCH_FIELD_WEIGHTS. Query terms missing from
+ * the vocabulary are expanded to prefix matches and to terms within a small edit distance.
+ */
+class SearchIndex {
+  constructor(documents) {
+    this.documents = documents;
+    this.postings = new Map();
+    this.lengths = [];
+    documents.forEach((doc, i) => {
+      const frequencies = new Map();
+      let length = 0;
+      for (const [field, weight] of Object.entries(SEARCH_FIELD_WEIGHTS)) {
+        const value = Array.isArray(doc[field]) ? doc[field].join(" ") : doc[field];
+        const tokens = field === "body" ? tokenize(value) : withCompounds(tokenize(value));
+        tokens.forEach(t => frequencies.set(t, (frequencies.get(t) || 0) + weight));
+        length += tokens.length * weight;
+      }
+      this.lengths[i] = length;
+      for (const [term, tf] of frequencies) {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        this.postings.get(term).set(i, tf);
+      }
+    });
+    this.averageLength = this.lengths.reduce((a, b) => a + b, 0) / (documents.length || 1);
+  }
+
+  expandTerm(term) {
+    const expansions = [];
+    if (this.postings.has(term)) expansions.push({ term, weight: 1 });
+    if (term.length >= 3) {
+      for (const candidate of this.postings.keys()) {
+        if (candidate !== term && candidate.startsWith(term)) expansions.push({ term: candidate, weight: 0.5 });
+      }
+    }
+    const maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    if (expansions.length === 0 && maxDistance > 0) {
+      for (const candidate of this.postings.keys()) {
+        if (editDistance(term, candidate, maxDistance) <= maxDistance) expansions.push({ term: candidate, weight: 0.6 });
+      }
+    }
+    return expansions.sort((a, b) => b.weight - a.weight).slice(0, 10);
+  }
+
+  search(query, { type, category, tags, limit = 20 } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+    const k1 = 1.2, b = 0.75, n = this.documents.length;
+    const scores = new Map();
+    const matchedTerms = new Map();
+
+    queryTerms.forEach(queryTerm => {
+      for (const { term, weight } of this.expandTerm(queryTerm)) {
+        const postings = this.postings.get(term);
+        const idf = Math.log(1 + (n - postings.size + 0.5) / (postings.size + 0.5));
+        for (const [i, tf] of postings) {
+          const norm = tf * (k1 + 1) / (tf + k1 * (1 - b + b * this.lengths[i] / this.averageLength));
+          scores.set(i, (scores.get(i) || 0) + weight * idf * norm);
+          if (!matchedTerms.has(i)) matchedTerms.set(i, new Map());
+          if (!matchedTerms.get(i).has(queryTerm)) matchedTerms.get(i).set(queryTerm, new Set());
+          matchedTerms.get(i).get(queryTerm).add(term);
+        }
+      }
+    });
+
+    return Array.from(scores.entries())
+      .map(([i, score]) => ({ doc: this.documents[i], score: score * (0.5 + 0.5 * matchedTerms.get(i).size / queryTerms.length), terms: [...matchedTerms.get(i).values()].flatMap(set => [...set]) }))
+      .filter(({ doc }) => !type || doc.type === type)
+      .filter(({ doc }) => !category || (doc.category || "").toLowerCase().includes(category.toLowerCase()))
+      .filter(({ doc }) => matchesTags(doc.tags, tags))
+      .sort((x, y) => y.score - x.score)
+      .slice(0, limit)
+      .map(({ doc, score, terms }) => ({
+        id: doc.id,
+        name: doc.name,
+        title: doc.title,
+        type: doc.type,
+        category: doc.category,
+        tags: doc.tags,
+        storybookPath: doc.id,
+        score: Math.round(score * 100) / 100,
+        snippet: highlightSnippet(doc.body, terms),
+      }));
+  }
+}
+
+// ============================================================================
+// Auth – headers, basic auth, cookies and storage state for private Storybooks
+// ============================================================================
+
+function parseCookieString(text) {
+  return String(text).split(";").map(pair => pair.trim()).filter(Boolean).map(pair => {
+    const separator = pair.indexOf("=");
+    return { name: pair.slice(0, separator).trim(), value: pair.slice(separator + 1).trim() };
+  }).filter(cookie => cookie.name);
+}
+
+/**
+ * Normalizes connection auth options into { headers, basicAuth, cookies, storageState }.
+ * `basicAuth` may be "user:pass" or { username, password }; `cookies` may be a
+ * "name=value; other=value" string or an array of Playwright cookie objects.
+ */
+function normalizeAuth({ headers, basicAuth, cookies, storageState } = {}) {
+  const auth = {};
+  if (headers && Object.keys(headers).length > 0) {
+    auth.headers = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key, String(value)]));
+  }
+  if (basicAuth) {
+    const [username, ...rest] = typeof basicAuth === "string" ? basicAuth.split(":") : [basicAuth.username, basicAuth.password];
+    if (!username) throw new Error("basicAuth needs a username (\"user:pass\" or { username, password }).");
+    auth.basicAuth = { username, password: typeof basicAuth === "string" ? rest.join(":") : String(rest[0] ?? "") };
+  }
+  if (cookies) {
+    auth.cookies = typeof cookies === "string" ? parseCookieString(cookies) : cookies;
+    if (auth.cookies.some(c => !c.name || c.value === undefined)) throw new Error("Each cookie needs a name and a value.");
+  }
+  if (storageState) auth.storageState = storageState;
+  return Object.keys(auth).length > 0 ? auth : null;
+}
+
+function authFromEnv() {
+  let headers;
+  if (process.env.STORYBOOK_HEADERS) {
+    try {
+      headers = JSON.parse(process.env.STORYBOOK_HEADERS);
+    } catch {
+      console.error("Ignoring STORYBOOK_HEADERS: not valid JSON");
+    }
+  }
+  return normalizeAuth({
+    headers,
+    basicAuth: process.env.STORYBOOK_BASIC_AUTH || undefined,
+    cookies: process.env.STORYBOOK_COOKIES || undefined,
+    storageState: process.env.STORYBOOK_STORAGE_STATE || undefined,
+  });
+}
+
+function describeAuth(auth) {
+  if (!auth) return "none";
+  return [
+    auth.headers && `headers (${Object.keys(auth.headers).join(", ")})`,
+    auth.basicAuth && `basic auth (${auth.basicAuth.username})`,
+    auth.cookies && `${auth.cookies.length} cookie(s)`,
+    auth.storageState && `storage state ${auth.storageState}`,
+  ].filter(Boolean).join(", ");
+}
+
+function cookieMatches(cookie, url) {
+  if (!cookie.domain) return true;
+  const domain = cookie.domain.replace(/^\./, "");
+  return (url.hostname === domain || url.hostname.endsWith("." + domain)) && url.pathname.startsWith(cookie.path || "/");
+}
+
+// ============================================================================
+// Static builds – serve a storybook-static directory on a local port
+// ============================================================================
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".txt": "text/plain; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".mp4": "video/mp4",
+  ".wasm": "application/wasm",
+};
+
+// Explicit paths only ("/abs", "./rel", "../rel", "~/rel", "C:\\dir"), so "localhost:6006" or a typo is not taken for one.
+function looksLikeLocalPath(location) {
+  return /^file:/i.test(location) || /^(\/|\.\.?[\\/]|~([\\/]|$)|[a-z]:[\\/])/i.test(location);
+}
+
+/**
+ * Absolute directory for a `file://` URL or explicit filesystem path ("./storybook-static",
+ * "~/builds/sb", "/abs/path") naming an existing directory; null for anything else.
+ */
+function localStorybookDir(location) {
+  const trimmed = String(location || "").trim();
+  if (!looksLikeLocalPath(trimmed)) return null;
+  let dir = /^file:/i.test(trimmed) ? fileURLToPath(trimmed) : trimmed.startsWith("~") ? join(homedir(), trimmed.slice(1)) : resolve(trimmed);
+  dir = dir.replace(/[\\/]index\.html$/, "");
+  return statSync(dir, { throwIfNoEntry: false })?.isDirectory() ? dir : null;
+}
+
+async function assertStorybookBuild(dir) {
+  const info = await stat(dir).catch(() => null);
+  if (!info?.isDirectory()) throw new StorybookError("invalid_input", `Storybook build directory not found: ${dir}`);
+  if (!await stat(join(dir, "index.html")).catch(() => null)) {
+    throw new StorybookError("invalid_input", `${dir} has no index.html. Point to the output of \`storybook build\` (usually storybook-static).`);
+  }
+}
+
+/**
+ * Serves a static Storybook build on 127.0.0.1 with an OS-assigned port. Resolves with
+ * { url, close }. Requests outside `dir` are rejected; directories serve their index.html.
+ * Responses carry ETag/Last-Modified from the file's size and mtime and answer conditional
+ * requests with 304, so index.json revalidation works as it does against a real server.
+ */
+function startStaticServer(dir) {
+  const root = resolve(dir);
+  const server = createServer(async (req, res) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+    } catch {
+      res.writeHead(400).end();
+      return;
+    }
+    let file = resolve(join(root, pathname));
+    if (file !== root && !file.startsWith(root + sep)) {
+      res.writeHead(403).end();
+      return;
+    }
+    try {
+      let info = await stat(file);
+      if (info.isDirectory()) {
+        file = join(file, "index.html");
+        info = await stat(file);
+      }
+      const etag = `W/"${info.size.toString(16)}-${Math.floor(info.mtimeMs).toString(16)}"`;
+      const headers = { "Cache-Control": "no-cache", ETag: etag, "Last-Modified": info.mtime.toUTCString() };
+      const ifNoneMatch = req.headers["if-none-match"];
+      const ifModifiedSince = Date.parse(req.headers["if-modified-since"] || "");
+      if (ifNoneMatch ? ifNoneMatch.split(/\s*,\s*/).includes(etag) : Math.floor(info.mtimeMs / 1000) * 1000 <= ifModifiedSince) {
+        res.writeHead(304, headers).end();
+        return;
+      }
+      const body = await readFile(file);
+      res.writeHead(200, { ...headers, "Content-Type": MIME_TYPES[extname(file).toLowerCase()] || "application/octet-stream" });
+      res.end(req.method === "HEAD" ? undefined : body);
+    } catch {
+      res.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+    }
+  });
+  return new Promise((resolvePromise, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      console.error(`Serving ${root} at http://127.0.0.1:${port}/`);
+      resolvePromise({ url: `http://127.0.0.1:${port}/`, close: () => new Promise(done => server.close(() => done())) });
+    });
+  });
+}
+
+// ============================================================================
+// Shared Chromium – one browser process; every connection gets its own context
+// ============================================================================
+
+let sharedBrowserPromise = null;
+
+async function getSharedBrowser(headless = true) {
+  if (sharedBrowserPromise) {
+    const browser = await sharedBrowserPromise.catch(() => null);
+    if (browser?.isConnected()) return browser;
+  }
+  sharedBrowserPromise = playwright.chromium.launch({ headless });
+  return sharedBrowserPromise;
+}
+
+async function closeSharedBrowser() {
+  if (!sharedBrowserPromise) return;
+  const browser = await sharedBrowserPromise.catch(() => null);
+  sharedBrowserPromise = null;
+  if (browser) await browser.close();
+}
+
+// ============================================================================
+// PagePool – bounded set of isolated browser contexts with a FIFO wait queue
+// ============================================================================
+
+const DEFAULT_POOL_SIZE = Number(process.env.STORYBOOK_PAGE_POOL_SIZE) || 4;
+
+class PagePool {
+  constructor(createSlot, size = DEFAULT_POOL_SIZE) {
+    this.createSlot = createSlot;
+    this.size = Math.max(1, size);
+    this.idle = [];
+    this.waiters = [];
+    this.created = 0;
+    this.closed = false;
+  }
+
+  async acquire() {
+    if (this.closed) throw new Error("Page pool is closed");
+    if (this.idle.length > 0) return this.idle.pop();
+    if (this.created < this.size) {
+      this.created++;
+      try {
+        return await this.createSlot();
+      } catch (error) {
+        this.created--;
+        throw error;
+      }
+    }
+    return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+  }
+
+  release(slot, broken = false) {
+    if (this.closed || broken || slot.crashed || slot.page.isClosed()) {
+      this.created--;
+      slot.context.close().catch(() => {});
+      if (!this.closed) this.wakeWaiter();
+      return;
+    }
+    const waiter = this.waiters.shift();
+    if (!waiter) this.idle.push(slot);
+    else if (waiter.detached) {
+      slot.context.close().catch(() => {});
+      waiter.resolve();
+    } else waiter.resolve(slot);
+  }
+
+  // Hands capacity freed below `size` to the next waiter.
+  wakeWaiter() {
+    const waiter = this.waiters.shift();
+    if (!waiter) return;
+    if (waiter.detached) {
+      this.created++;
+      waiter.resolve();
+    } else this.acquire().then(waiter.resolve, waiter.reject);
+  }
+
+  /**
+   * Capacity for work on a context of its own (device emulation, scale factors): it counts
+   * as one page against `size`, closing an idle page if that is what makes room.
+   */
+  async reserve() {
+    if (this.closed) throw new Error("Page pool is closed");
+    if (this.created < this.size) {
+      this.created++;
+      return;
+    }
+    const slot = this.idle.pop();
+    if (slot) {
+      slot.context.close().catch(() => {});
+      return;
+    }
+    return new Promise((resolve, reject) => this.waiters.push({ resolve, reject, detached: true }));
+  }
+
+  async runDetached(task) {
+    await this.reserve();
+    try {
+      return await task();
+    } finally {
+      this.created--;
+      if (!this.closed) this.wakeWaiter();
+    }
+  }
+
+  async run(task) {
+    const slot = await this.acquire();
+    let broken = false;
+    try {
+      return await task(slot.page);
+    } catch (error) {
+      broken = slot.page.isClosed() || /Target .*closed|crashed/i.test(error?.message || "");
+      throw error;
+    } finally {
+      this.release(slot, broken);
+    }
+  }
+
+  async close() {
+    this.closed = true;
+    this.waiters.splice(0).forEach(waiter => waiter.reject(new Error("Page pool is closed")));
+    await Promise.all(this.idle.splice(0).map(slot => slot.context.close().catch(() => {})));
+  }
+}
+
+// ============================================================================
+// StorybookBrowser – connects to a Storybook site and fetches docs/stories
+// ============================================================================
+
+class StorybookBrowser {
+  constructor(config) {
+    this.config = { headless: true, timeout: 30000, ...config };
+    this.browser = null;
+    this.pool = null;
+    this.authError = null;
+    this.storageStateCookies = null;
+    this.storybookInfo = null;
+    this.cachedNavigation = null;
+    this.navigationCacheTime = 0;
+    this.CACHE_TTL = 5 * 60 * 1000;
+    // Where the Storybook lives as the user named it; differs from baseUrl for static builds,
+    // which are served on a random local port but should keep their cache and baselines.
+    this.sourceUrl = this.config.sourceUrl || this.config.baseUrl;
+    this.cache = StorybookCache.for(this.sourceUrl, this.config.cacheDir);
+    this.indexValidatedAt = 0;
+    this.INDEX_REVALIDATE_MS = 30 * 1000;
+    this.indexRequest = null;
+    this.indexData = null;
+    this.seenIndex = null;
+    this.indexCheckedAt = 0;
+    this.INDEX_THROTTLE_MS = 5 * 1000;
+    this.refIndexes = new Map();
+    this.turndown = new TurndownService({ headingStyle: "atx", codeBlockStyle: "fenced" });
+  }
+
+  async initialize() {
+    if (this.browser) return;
+    this.browser = await getSharedBrowser(this.config.headless);
+    this.pool = new PagePool(async () => {
+      const context = await this.newContext();
+      const page = await context.newPage();
+      page.setDefaultTimeout(this.config.timeout);
+      const slot = { context, page, crashed: false };
+      page.on("crash", () => { slot.crashed = true; });
+      return slot;
+    }, this.config.poolSize);
+    await this.detectStorybookVersion();
+  }
+
+  /**
+   * New browser context carrying the connection's auth: headers and HTTP credentials for
+   * the Storybook origin only (not CDNs, analytics or cross-origin composed refs), a
+   * Playwright storage state file and explicit cookies (scoped to the Storybook origin
+   * when they name no domain).
+   */
+  async newContext(options = {}) {
+    const auth = this.config.auth || {};
+    const origin = new URL(this.config.baseUrl).origin;
+    const context = await this.browser.newContext({
+      ...(auth.basicAuth && { httpCredentials: { ...auth.basicAuth, origin } }),
+      ...(auth.storageState && { storageState: auth.storageState }),
+      ...options,
+    });
+    if (auth.headers) {
+      await context.route(url => url.origin === origin, route => route.continue({ headers: { ...route.request().headers(), ...auth.headers } }));
+    }
+    if (auth.cookies?.length) {
+      await context.addCookies(auth.cookies.map(c => (c.domain || c.url ? c : { ...c, url: origin })));
+    }
+    await context.addInitScript(previewRecorderScript);
+    return context;
+  }
+
+  // Node-side fetch with the same headers, basic auth and cookies the browser context sends.
+  async fetchWithAuth(url, init = {}) {
+    const auth = this.config.auth || {};
+    const headers = { ...(auth.headers || {}), ...(init.headers || {}) };
+    if (auth.basicAuth) headers.Authorization = "Basic " + Buffer.from(`${auth.basicAuth.username}:${auth.basicAuth.password}`).toString("base64");
+
+    if (auth.storageState && !this.storageStateCookies) {
+      try {
+        this.storageStateCookies = JSON.parse(await readFile(auth.storageState, "utf8")).cookies || [];
+      } catch (error) {
+        throw new Error(`Could not read storage state ${auth.storageState}: ${error.message}`);
+      }
+    }
+    const target = new URL(url);
+    const cookies = [...(this.storageStateCookies || []), ...(auth.cookies || [])].filter(c => cookieMatches(c, target));
+    if (cookies.length > 0) headers.Cookie = cookies.map(c => `${c.name}=${c.value}`).join("; ");
+
+    const response = await fetch(url, { ...init, headers });
+    if (response.status === 401 || response.status === 403) this.authError = { status: response.status, url };
+    return response;
+  }
+
+  async close() {
+    if (this.browser) {
+      await this.pool?.close();
+      this.browser = null;
+      this.pool = null;
+      this.storybookInfo = null;
+      this.cachedNavigation = null;
+      this.navigationCacheTime = 0;
+      this.refIndexes.clear();
+      this.indexCheckedAt = 0;
+    }
+  }
+
+  // Runs `task` on a pooled page; concurrent calls get separate pages (and contexts).
+  async withPage(task) {
+    if (!this.pool) throw new StorybookError("not_connected", "Storybook browser not connected");
+    return this.pool.run(task);
+  }
+
+  // Runs `task` on a page of a throwaway context created with `options`, within the pool's size limit.
+  async withContext(options, task) {
+    if (!this.pool) throw new StorybookError("not_connected", "Storybook browser not connected");
+    return this.pool.runDetached(async () => {
+      const context = await this.newContext(options);
+      try {
+        const page = await context.newPage();
+        page.setDefaultTimeout(this.config.timeout);
+        return await task(page);
+      } finally {
+        await context.close();
+      }
+    });
+  }
+
+  async waitForManagerReady(page) {
+    await page.waitForSelector('[data-item-id], a[href*="path="], #storybook-preview-iframe', { timeout: 10000 }).catch(() => {});
+  }
+
+  /**
+   * Waits until the preview reports it has rendered – `storyRendered`/`docsRendered`, a
+   * terminal render phase or an error captured by the preview recorder. Previews that never
+   * expose a channel (very old Storybooks) count as ready once their root has content.
+   */
+  async waitForPreviewReady(page, timeout = 10000) {
+    await page.waitForFunction(() => {
+      const r = window.__STORYBOOK_MCP__;
+      if (!r) return false;
+      if (r.rendered || r.docsRendered || r.done || r.error) return true;
+      if (document.querySelector(".sb-show-errordisplay")) return true;
+      const root = document.querySelector("#storybook-root, #root, #docs-root");
+      return !r.channel && performance.now() > 3000 && !!root?.children.length;
+    }, null, { timeout, polling: 100 }).catch(() => {});
+    await page.evaluate(() => document.fonts?.ready).catch(() => {});
+  }
+
+  // Polls until the number of nodes matching `selector` stops changing (sidebar expansion).
+  async waitForStableCount(page, selector, timeout = 5000) {
+    let previous = -1;
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      const count = await page.locator(selector).count();
+      if (count === previous) return;
+      previous = count;
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+  }
+
+  // The preview's own error state after a render: the error display or "No Preview"; null if fine.
+  async readRenderError(page) {
+    return page.evaluate(() => {
+      const text = selector => document.querySelector(selector)?.textContent?.trim() || "";
+      const classes = document.body?.classList;
+      if (classes?.contains("sb-show-errordisplay")) {
+        return { category: "render_error", message: [text("#error-message"), text("#error-stack").split("\n")[0]].filter(Boolean).join(": ") || "The story threw while rendering" };
+      }
+      if (classes?.contains("sb-show-nopreview")) return { category: "not_found", message: "Storybook shows \"No Preview\": the story does not exist or its file failed to load" };
+      return null;
+    }).catch(() => null);
+  }
+
+  // Fails with the preview's render error, carrying the console errors collected so far.
+  async assertRendered(page, id, consoleErrors) {
+    const renderError = await this.readRenderError(page);
+    if (!renderError) return;
+    const suggestions = renderError.category === "not_found" ? await this.suggestIds(id) : [];
+    throw new StorybookError(renderError.category, `${id}: ${renderError.message}`, { consoleErrors, suggestions });
+  }
+
+  /**
+   * Entry IDs closest to `query` – by substring, then edit distance against the id, the
+   * "Title/Name" path and the component name. Empty without an index.
+   */
+  async suggestIds(query, limit = 5) {
+    const q = String(query).replace(/^\/(story|docs)\//, "").replace(/^\//, "").toLowerCase();
+    const entries = await this.getIndexEntries().catch(() => ({}));
+    const maxDistance = Math.max(2, Math.floor(q.length / 3));
+    return Object.entries(entries)
+      .map(([id, entry]) => {
+        const title = (entry.title || "").toLowerCase();
+        const keys = [id, `${title}/${(entry.name || "").toLowerCase()}`, title, title.split("/").pop()].filter(Boolean);
+        const distance = Math.min(...keys.map(key => (key.includes(q) ? (key.length - q.length) / key.length : editDistance(q, key, maxDistance))));
+        return { id, distance };
+      })
+      .filter(match => match.distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance || a.id.localeCompare(b.id))
+      .slice(0, limit)
+      .map(match => match.id);
+  }
+
+  async notFoundError(query, what = "Storybook entry") {
+    return new StorybookError("not_found", `No ${what} matches "${query}".`, { suggestions: await this.suggestIds(query) });
+  }
+
+  // Throws not_found for IDs missing from index.json (a docs page may be named by its component id).
+  async assertKnownId(id) {
+    const entries = await this.getIndexEntries().catch(() => ({}));
+    if (Object.keys(entries).length === 0 || entries[id] || entries[`${id}--docs`]) return;
+    throw await this.notFoundError(id);
+  }
+
+  // A redirect only means "log in first" when it lands on something that looks like a login page.
+  async isLoginPage(page) {
+    const { hostname, pathname } = new URL(page.url());
+    if (/(^|[./-])(log-?in|sign-?in|sso|oauth2?|saml|auth|accounts?)([./-]|$)/i.test(`${hostname}${pathname}`)) return true;
+    return (await page.locator('input[type="password"]').count().catch(() => 0)) > 0;
+  }
+
+  /**
+   * Works out the Storybook major version – project.json's storybookVersion, else the version
+   * the manager exposes, else the index format (`v: 5` is shared by 7, 8 and 9) – whether
+   * the manager uses legacy /story/ paths, and which Storybooks it composes as refs.
+   */
+  async detectStorybookVersion() {
+    if (this.storybookInfo) return this.storybookInfo;
+    
+    const baseUrl = this.config.baseUrl.replace(/\/$/, "");
+    let hasIndexJson = false, usesStoryPath = false, version = "unknown", exactVersion = null, refs = [];
+    
+    const [data, project] = await Promise.all([this.fetchIndexJson(), this.fetchProjectJson()]);
+    if (data) {
+      hasIndexJson = true;
+      version = data.v >= 5 ? "v7+" : (data.entries || data.stories) ? "v6" : "unknown";
+    }
+    
+    try {
+      await this.withPage(async page => {
+        const response = await this.safeNavigate(baseUrl, page);
+        const status = response?.status();
+        if (status === 401 || status === 403) this.authError = { status, url: baseUrl };
+        else if (new URL(page.url()).host !== new URL(baseUrl).host && await this.isLoginPage(page)) {
+          this.authError = { status: status || 0, url: baseUrl, redirectedTo: page.url() };
+        }
+        await this.waitForManagerReady(page);
+        const currentUrl = page.url();
+        usesStoryPath = currentUrl.includes("path=/story/") || currentUrl.includes("path=%2Fstory%2F");
+
+        const manager = await page.evaluate(() => {
+          let apiVersion = null, apiRefs = null;
+          try {
+            apiVersion = window.__STORYBOOK_API__?.getCurrentVersion?.()?.version || null;
+            apiRefs = window.__STORYBOOK_API__?.getRefs?.() || null;
+          } catch {}
+          const refs = Object.entries(window.REFS || apiRefs || {}).map(([id, ref]) => ({ id: ref?.id || id, title: ref?.title || id, url: ref?.url || "" }));
+          return {
+            version: window.STORYBOOK_VERSION || window.__STORYBOOK_VERSION__ || apiVersion,
+            refs,
+            sidebarLinks: Array.from(document.querySelectorAll('a[href*="path="]')).slice(0, 5).map(l => l.getAttribute("href") || ""),
+          };
+        });
+        if (typeof manager.version === "string") exactVersion = manager.version;
+        refs = manager.refs
+          .filter(ref => ref.url && ref.id !== "storybook" && ref.id !== "storybook_internal")
+          .map(ref => ({ ...ref, url: new URL(ref.url, `${baseUrl}/`).href.replace(/\/(index\.html)?$/, "") }));
+        if (manager.sidebarLinks.some(href => href.includes("/story/"))) {
+          usesStoryPath = true;
+          if (!hasIndexJson) version = "v5";
+        }
+      });
+    } catch (e) {
+      console.error("Error detecting Storybook version:", e);
+    }
+    
+    if (project?.storybookVersion) exactVersion = project.storybookVersion;
+    const major = /^(\d+)\./.exec(exactVersion || "")?.[1];
+    if (major) version = `v${major}`;
+    this.storybookInfo = { version, exactVersion, hasIndexJson, usesStoryPath, usesIframeDocs: !usesStoryPath && hasIndexJson, refs };
+    console.error(`Detected Storybook: version=${exactVersion || version}, hasIndexJson=${hasIndexJson}, usesStoryPath=${usesStoryPath}, refs=${refs.length}`);
+    return this.storybookInfo;
+  }
+
+  /**
+   * Returns the parsed index.json (stories.json on Storybook 6 builds without one),
+   * revalidating the on-disk copy with If-None-Match/If-Modified-Since so unchanged
+   * indexes are not downloaded again. Falls back to the cached copy when the server is
+   * unreachable; null if there is none. Concurrent callers share one request, and
+   * callers within INDEX_THROTTLE_MS of the last check get its result without a request.
+   */
+  async fetchIndexJson() {
+    if (this.indexRequest) return this.indexRequest;
+    if (Date.now() - this.indexCheckedAt < this.INDEX_THROTTLE_MS) return this.indexData;
+    this.indexRequest = this.requestIndexJson().then(data => {
+      this.indexData = data;
+      this.indexCheckedAt = Date.now();
+      return data;
+    }).finally(() => { this.indexRequest = null; });
+    return this.indexRequest;
+  }
+
+  async requestIndexJson() {
+    const base = this.config.baseUrl.replace("index.html", "").replace(/\/$/, "");
+    const cached = await this.cache.getIndex();
+    const seen = this.seenIndex || cached;
+    const headers = {};
+    if (cached?.etag) headers["If-None-Match"] = cached.etag;
+    if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+    try {
+      for (const file of this.indexFile ? [this.indexFile] : ["index.json", "stories.json"]) {
+        const response = await this.fetchWithAuth(`${base}/${file}`, { headers });
+        this.indexValidatedAt = Date.now();
+        if (response.status === 304 && cached) {
+          this.indexFile = file;
+          await this.noticeIndexChange(seen);
+          return cached.data;
+        }
+        if (response.headers.get("content-type")?.includes("application/json") && response.ok) {
+          this.indexFile = file;
+          const data = await response.json();
+          await this.cache.setIndex({ data, etag: response.headers.get("etag"), lastModified: response.headers.get("last-modified") });
+          await this.noticeIndexChange(seen);
+          return data;
+        }
+      }
+      return null;
+    } catch (error) {
+      if (/storage state/.test(error.message)) throw error;
+      return cached?.data || null;
+    }
+  }
+
+  /**
+   * Compares the cached index with the one this browser last saw. The cache is shared, so
+   * another connection to the same Storybook may have stored the new index (and this
+   * browser's revalidation then gets a 304); its changes are still this browser's news.
+   */
+  async noticeIndexChange(seen) {
+    const current = await this.cache.getIndex();
+    this.seenIndex = current;
+    if (!seen || !current || seen === current) return;
+    const changed = changedEntryIds(seen.fingerprints, current.fingerprints);
+    if (changed.length === 0) return;
+    console.error(`${this.indexFile} changed: ${changed.length} entries refreshed`);
+    this.cachedNavigation = null;
+    const before = seen.data.entries || seen.data.stories || {};
+    const after = current.data.entries || current.data.stories || {};
+    this.config.onIndexChange?.({ changed, listChanged: changed.some(id => !(id in before) || !(id in after)) });
+  }
+
+  // The composed ref a namespaced ID ("<refId>_<storyId>", as the manager names them) belongs to.
+  refForId(id) {
+    return this.storybookInfo?.refs?.find(ref => id.startsWith(`${ref.id}_`)) || null;
+  }
+
+  /**
+   * A composed ref's entries under namespaced IDs, with the ref's title as their top-level
+   * title segment. Refs are fetched anonymously unless they share the Storybook's origin;
+   * unreachable refs contribute nothing.
+   */
+  async fetchRefEntries(ref) {
+    const cached = this.refIndexes.get(ref.id);
+    if (cached && Date.now() - cached.fetchedAt < this.INDEX_REVALIDATE_MS) return cached.entries;
+    const entries = this.requestRefEntries(ref);
+    this.refIndexes.set(ref.id, { entries, fetchedAt: Date.now() });
+    return entries;
+  }
+
+  async requestRefEntries(ref) {
+    const sameOrigin = new URL(ref.url).origin === new URL(this.config.baseUrl).origin;
+    let data = null;
+    for (const file of ["index.json", "stories.json"]) {
+      try {
+        const response = sameOrigin ? await this.fetchWithAuth(`${ref.url}/${file}`) : await fetch(`${ref.url}/${file}`);
+        if (response.ok && response.headers.get("content-type")?.includes("json")) {
+          data = await response.json();
+          break;
+        }
+      } catch (error) {
+        console.error(`Could not load ref ${ref.id} (${ref.url}):`, error.message);
+        break;
+      }
+    }
+    const entries = {};
+    for (const [id, entry] of Object.entries(data?.entries || data?.stories || {})) {
+      entries[`${ref.id}_${id}`] = { ...entry, id: `${ref.id}_${id}`, title: `${ref.title}/${entry.title || id}`, ref: ref.id };
+    }
+    return entries;
+  }
+
+  // Cached docs are only trusted against an index revalidated within INDEX_REVALIDATE_MS.
+  async getCachedDocs(id, variant) {
+    if (Date.now() - this.indexValidatedAt > this.INDEX_REVALIDATE_MS) await this.fetchIndexJson();
+    return this.cache.getDocs(id, variant);
+  }
+
+  async safeNavigate(url, page) {
+    const strategies = ["domcontentloaded", "load", "networkidle"];
+    let lastError = null;
+    
+    for (const waitUntil of strategies) {
+      try {
+        return await page.goto(url, { waitUntil, timeout: this.config.timeout });
+      } catch (e) {
+        lastError = e;
+        if (e.message?.includes("net::ERR_ABORTED") || e.message?.includes("Timeout")) continue;
+        throw e;
+      }
+    }
+    
+    try {
+      const response = await page.goto(url, { waitUntil: "commit", timeout: this.config.timeout });
+      await page.waitForLoadState("domcontentloaded", { timeout: this.config.timeout }).catch(() => {});
+      return response;
+    } catch {
+      throw lastError || new Error(`Failed to navigate to ${url}`);
+    }
+  }
+
+  // Namespaced ref IDs load from the ref's own iframe.html under the ref's story ID.
+  buildStoryUrl(storyId, mode = "docs", { args, globals } = {}) {
+    let cleanId = storyId.replace(/^\/story\//, "").replace(/^\/docs\//, "").replace(/^\//, "");
+    const ref = this.refForId(cleanId);
+    if (ref) cleanId = cleanId.slice(ref.id.length + 1);
+    const baseUrl = (ref?.url || this.config.baseUrl).replace("index.html", "").replace(/\?.*$/, "").replace(/\/$/, "");
+    const extra = (args ? `&args=${args}` : "") + (globals ? `&globals=${globals}` : "");
+    
+    if (!ref && (this.storybookInfo?.usesStoryPath || this.storybookInfo?.version === "v5")) {
+      return `${baseUrl}/iframe.html?id=${cleanId}${extra}`;
+    }
+    
+    const viewMode = mode === "docs" || cleanId.includes("--docs") ? "docs" : "story";
+    if (viewMode === "docs" && !cleanId.includes("--docs") && !cleanId.includes("--color") && !cleanId.endsWith("--page")) {
+      cleanId = cleanId + "--docs";
+    }
+    return `${baseUrl}/iframe.html?viewMode=${viewMode}&id=${cleanId}${extra}`;
+  }
+
+  // discoverNavigation, reused for CACHE_TTL or until index.json changes.
+  async getNavigation() {
+    const now = Date.now();
+    if (!this.cachedNavigation || (now - this.navigationCacheTime) > this.CACHE_TTL) {
+      this.cachedNavigation = await this.discoverNavigation();
+      this.navigationCacheTime = now;
+    }
+    return this.cachedNavigation;
+  }
+
+  async discoverNavigation() {
+    const isOld = this.storybookInfo?.usesStoryPath || this.storybookInfo?.version === "v5";
+    const { items: navItems, tree } = await this.withPage(async page => {
+      await this.safeNavigate(this.config.baseUrl, page);
+      await this.waitForManagerReady(page);
+
+      await page.evaluate(() => {
+        document.querySelectorAll('button[aria-expanded="false"]').forEach(btn => btn.click());
+        document.querySelectorAll('[data-nodetype="group"]').forEach(el => el.click());
+      });
+      await this.waitForStableCount(page, '[data-item-id], a[href*="path="]');
+
+      return page.evaluate((isOldStorybook) => {
+        const items = [];
+        const tree = {};
+
+        document.querySelectorAll('[data-item-id]').forEach(el => {
+          const itemId = el.getAttribute("data-item-id") || "";
+          const name = el.textContent?.trim() || "";
+          const nodeType = el.getAttribute("data-nodetype");
+          if (itemId) tree[itemId] = { name, parentId: el.getAttribute("data-parent-id") };
+          if (nodeType && !["story", "docs", "document"].includes(nodeType)) return;
+          if (name && itemId && !itemId.startsWith("group-")) {
+            items.push({ name, storybookPath: itemId, type: itemId.includes("--docs") ? "docs" : "story" });
+          }
+        });
+
+        document.querySelectorAll('a[href*="path="]').forEach(el => {
+          const name = el.textContent?.trim() || "";
+          const href = decodeURIComponent(el.getAttribute("href") || "");
+          const pathMatch = href.match(/path=([^&]+)/);
+          if (name && pathMatch) {
+            let storyPath = pathMatch[1].replace("/story/", "").replace("/docs/", "");
+            if (!items.some(i => i.storybookPath === storyPath)) {
+              items.push({ name, storybookPath: storyPath, type: storyPath.includes("--docs") ? "docs" : "story" });
+            }
+          }
+        });
+
+        if (isOldStorybook || items.length < 10) {
+          document.querySelectorAll('[data-name]').forEach(el => {
+            const name = el.getAttribute("data-name") || el.textContent?.trim() || "";
+            const href = el.href || "";
+            const pathMatch = decodeURIComponent(href).match(/path=([^&]+)/);
+            if (name && pathMatch) {
+              const storyPath = pathMatch[1].replace("/story/", "").replace("/docs/", "");
+              if (!items.some(i => i.storybookPath === storyPath)) {
+                items.push({ name, storybookPath: storyPath, type: "story" });
+              }
+            }
+          });
+        }
+        return { items, tree };
+      }, isOld);
+    });
+
+    const entries = await this.getIndexEntries().catch(() => ({}));
+    if (navItems.length < 20) {
+      Object.entries(entries).forEach(([id, entry]) => {
+        const type = entry.type || (id.includes("--docs") ? "docs" : "story");
+        const name = entry.name || entry.title || id.split("--").pop() || id;
+        if (!navItems.some(i => i.storybookPath === id)) {
+          navItems.push({ name, storybookPath: id, type });
+        }
+      });
+    }
+
+    // The top-level title segment, else the sidebar's root ancestor; null when neither is known.
+    const categoryOf = id => {
+      const title = entries[id]?.title;
+      if (title) return title.split("/")[0];
+      const seen = new Set([id]);
+      let top = null;
+      for (let node = tree[id]; node?.parentId && tree[node.parentId] && !seen.has(node.parentId); node = tree[node.parentId]) {
+        seen.add(node.parentId);
+        top = tree[node.parentId];
+      }
+      return top?.name || null;
+    };
+
+    const categories = {};
+    const flatList = [];
+
+    navItems.forEach(item => {
+      const category = categoryOf(item.storybookPath);
+      const navItem = { name: item.name, storybookPath: item.storybookPath, type: item.type, category };
+      flatList.push(navItem);
+      if (!categories[category || "other"]) categories[category || "other"] = [];
+      categories[category || "other"].push(navItem);
+    });
+
+    return {
+      categories: Object.entries(categories).map(([name, children]) => ({ name, storybookPath: null, type: "category", children })),
+      flatList,
+    };
+  }
+
+  async getPageContent(storybookPath, format = "structured") {
+    const docId = storybookPath.replace(/^\/docs\//, "").replace(/^\/story\//, "").replace(/^\//, "");
+    const iframeUrl = this.buildStoryUrl(docId, "docs");
+    const cached = await this.getCachedDocs(docId, `page-${format}`);
+    if (cached?.outline) return cached;
+    await this.assertKnownId(docId);
+
+    return this.withPage(async page => {
+      const watcher = watchPageErrors(page);
+      try {
+        await this.safeNavigate(iframeUrl, page);
+        await this.waitForPreviewReady(page);
+        await this.assertRendered(page, docId, watcher.errors);
+
+        const content = await page.evaluate(({ sectionMarker, canvasMarker }) => {
+          const result = { title: "", subtitle: "", description: "", headings: [], canvases: [], codeBlocks: [], tables: [], props: [], html: "", markedHtml: "" };
+          const allH1s = document.querySelectorAll("h1");
+          for (const h1 of allH1s) {
+            const text = h1.textContent?.trim() || "";
+            if (text && text !== "No Preview" && !text.includes("Sorry, but")) { result.title = text; break; }
+          }
+          document.querySelectorAll("pre code").forEach(codeEl => {
+            const code = codeEl.textContent?.trim() || "";
+            const language = codeEl.className.match(/language-(\w+)/)?.[1] || "html";
+            if (code) result.codeBlocks.push({ language, code });
+          });
+          document.querySelectorAll("table:not(.docblock-argstable)").forEach(table => {
+            const headers = Array.from(table.querySelectorAll("thead th")).map(th => th.textContent?.trim() || "");
+            const rows = Array.from(table.querySelectorAll("tbody tr")).map(tr => Array.from(tr.querySelectorAll("td")).map(td => td.textContent?.trim() || ""));
+            if (rows.length > 0) result.tables.push({ headers, rows });
+          });
+          const body = document.body.cloneNode(true);
+          [".sb-errordisplay", ".sb-preparing-story", ".docblock-argstable"].forEach(sel => body.querySelectorAll(sel).forEach(el => el.remove()));
+          result.html = body.innerHTML;
+
+          // Outline: headings outside rendered stories, each Canvas/Story block as its story ID,
+          // and markers in a second copy of the body so the markdown can be cut into sections.
+          const root = body.querySelector("#storybook-docs, #docs-root") || body;
+          const text = el => el?.textContent?.trim() || "";
+          result.subtitle = text(root.querySelector(".sbdocs-subtitle"));
+          root.querySelectorAll(".docs-story").forEach(canvas => {
+            const anchor = canvas.closest('[id^="anchor--"]') || canvas.querySelector('[id^="story--"]');
+            const storyId = anchor?.id.replace(/^anchor--(primary--)?|^story--/, "").replace(/-inner$/, "") || null;
+            canvas.replaceWith(Object.assign(document.createElement("p"), { textContent: `${canvasMarker}${result.canvases.length}X` }));
+            result.canvases.push({ storyId });
+          });
+          root.querySelectorAll("h1, h2, h3, h4, h5, h6").forEach(heading => {
+            if (!text(heading)) return;
+            heading.before(Object.assign(document.createElement("p"), { textContent: `${sectionMarker}${result.headings.length}X` }));
+            result.headings.push({ level: Number(heading.tagName[1]), text: text(heading), id: heading.id || null });
+          });
+          const description = [];
+          for (const el of root.querySelectorAll(".sbdocs-description, p, h2, h3")) {
+            if (/^H[23]$/.test(el.tagName) || text(el).startsWith(canvasMarker)) break;
+            if (el.classList.contains("sbdocs-description") || (!el.closest(".sbdocs-description, .sbdocs-subtitle") && !text(el).startsWith(sectionMarker) && text(el))) description.push(text(el));
+          }
+          result.description = description.join("\n\n");
+          result.markedHtml = root.innerHTML;
+          return result;
+        }, { sectionMarker: DOCS_SECTION_MARKER, canvasMarker: DOCS_CANVAS_MARKER });
+        const { markdown, ...structure } = outlineDocsPage(this.cleanMarkdown(this.turndown.turndown(content.markedHtml)), content);
+        delete content.markedHtml;
+        Object.assign(content, structure);
+        content.props = await this.extractProps(page, docId);
+        const entry = await this.getIndexEntry(docId);
+        content.importPath = entry?.importPath || null;
+        content.componentPath = entry?.componentPath || null;
+
+        const result = format === "markdown" ? { ...content, rawMarkdown: markdown } : content;
+        await this.cache.setDocs(docId, `page-${format}`, result);
+        return result;
+      } catch (error) {
+        throw toStorybookError(error, { consoleErrors: watcher.errors });
+      } finally {
+        watcher.stop();
+      }
+    });
+  }
+
+  async getComponentDocs(storybookPath) {
+    const docId = storybookPath.replace(/^\/docs\//, "").replace(/^\/story\//, "").replace(/^\//, "");
+    const iframeUrl = this.buildStoryUrl(docId, "docs");
+    await this.assertKnownId(docId);
+
+    return this.withPage(async page => {
+      const watcher = watchPageErrors(page);
+      try {
+        await this.safeNavigate(iframeUrl, page);
+        await this.waitForPreviewReady(page);
+        await this.assertRendered(page, docId, watcher.errors);
+
+        const docs = await page.evaluate(() => {
+          const result = { name: "", description: "", props: [], examples: [] };
+          const allH1s = document.querySelectorAll("h1");
+          for (const h1 of allH1s) {
+            const text = h1.textContent?.trim() || "";
+            if (text && text !== "No Preview") { result.name = text; break; }
+          }
+          document.querySelectorAll("pre code").forEach((codeEl, i) => {
+            const code = codeEl.textContent?.trim() || "";
+            if (code && code.length < 2000) result.examples.push({ title: `Example ${i + 1}`, code });
+          });
+          return result;
+        });
+        docs.props = await this.extractProps(page, docId);
+        return docs;
+      } catch (error) {
+        throw toStorybookError(error, { consoleErrors: watcher.errors });
+      } finally {
+        watcher.stop();
+      }
+    });
+  }
+
+  /**
+   * Builds search documents from index.json entries (or the scraped sidebar when there is
+   * no index) and enriches them with whatever docs markdown and prop descriptions are cached.
+   */
+  async buildSearchIndex() {
+    let entries = await this.getIndexEntries();
+    if (Object.keys(entries).length === 0) {
+      entries = Object.fromEntries((await this.getNavigation()).flatList.map(item => [item.storybookPath, { name: item.name, type: item.type }]));
+    }
+
+    const bodies = {};
+    for (const { id, content } of await this.cache.allDocs()) {
+      const props = (content.props || []).map(p => `${p.name} ${p.description || ""}`).join("\n");
+      bodies[id] = [bodies[id], content.rawMarkdown || content.title, props].filter(Boolean).join("\n");
+    }
+
+    const documents = Object.entries(entries).map(([id, entry]) => {
+      const title = entry.title || "";
+      return {
+        id,
+        name: entry.name || id.split("--").pop() || id,
+        title,
+        type: entry.type || (id.includes("--docs") ? "docs" : "story"),
+        category: title ? title.split("/")[0] : id.split("--")[0],
+        tags: entry.tags || [],
+        body: bodies[id] || "",
+      };
+    });
+    this.searchIndex = new SearchIndex(documents);
+    this.searchIndexRevision = this.cache.revision;
+    return this.searchIndex;
+  }
+
+  async searchComponents(query, { type, category, tags, limit, deep = false } = {}) {
+    if (deep) {
+      const data = await this.fetchIndexJson();
+      const docsIds = Object.entries(data?.entries || data?.stories || {}).filter(([, e]) => e.type === "docs").map(([id]) => id);
+      await Promise.all(docsIds.map(async id => {
+        if (!(await this.cache.getDocs(id, "page-markdown"))) await this.getPageContent(id, "markdown").catch(() => null);
+      }));
+    }
+    if (!this.searchIndex || this.searchIndexRevision !== this.cache.revision || (Date.now() - this.indexValidatedAt) > this.INDEX_REVALIDATE_MS) {
+      await this.buildSearchIndex();
+    }
+    return this.searchIndex.search(query, { type, category, tags, limit });
+  }
+
+  async takeScreenshot(storybookPath, options = {}) {
+    const { screenshot } = await this.renderStory(storybookPath, { ...options, captureHtml: false });
+    return screenshot;
+  }
+
+  /**
+   * Screenshots the loaded preview per `shot` (see screenshotOptions). Root crops fall back
+   * to the viewport when the root has no box (portals, absolutely positioned stories).
+   * Playwright only encodes PNG and JPEG, so WebP is re-encoded by the page's canvas.
+   */
+  async captureScreenshot(page, { crop, format, quality, isStory }) {
+    const type = format === "jpeg" ? "jpeg" : "png";
+    const encoding = { type, ...(type === "jpeg" && { quality }) };
+    let image;
+    if (crop === "full" || crop === "viewport") {
+      image = await page.screenshot({ ...encoding, fullPage: crop === "full" });
+    } else {
+      const selector = crop === "root" ? (isStory ? "#storybook-root, #root" : "#storybook-docs, #docs-root") : crop;
+      const element = page.locator(selector).first();
+      if ((await element.count()) === 0) throw new StorybookError("invalid_input", `No element matches "${selector}".`);
+      const box = await element.boundingBox();
+      image = box?.width && box?.height ? await element.screenshot(encoding) : await page.screenshot(encoding);
+    }
+    if (format !== "webp") return image;
+    const encoded = await page.evaluate(async ({ png, quality }) => {
+      const img = new Image();
+      img.src = `data:image/png;base64,${png}`;
+      await img.decode();
+      const canvas = document.createElement("canvas");
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      canvas.getContext("2d").drawImage(img, 0, 0);
+      return canvas.toDataURL("image/webp", quality / 100).split(",")[1];
+    }, { png: image.toString("base64"), quality });
+    return Buffer.from(encoded, "base64");
+  }
+
+  /**
+   * Captures one story across every combination of `viewports` and `globals` (e.g. themes).
+   * With layout "sheet" the cells are laid out with captions on a single contact sheet image;
+   * otherwise each is returned as { label, image }.
+   */
+  async captureMatrix(storybookPath, { viewports = [], globals = [], args, crop = "root", scale, format = "png", quality, layout = "sheet" } = {}) {
+    const cells = (viewports.length ? viewports : [undefined]).flatMap(viewport =>
+      (globals.length ? globals : [undefined]).map(globalValues => ({ viewport, globals: globalValues }))
+    );
+    if (cells.length > MAX_MATRIX_CELLS) {
+      throw new StorybookError("invalid_input", `Matrix has ${cells.length} cells; the limit is ${MAX_MATRIX_CELLS}. Use fewer viewports or globals.`);
+    }
+    const output = screenshotOptions({ crop, scale, format, quality });
+    // Every cell renders on a pooled page or a pool-counted context, so at most poolSize run at once.
+    const shots = await Promise.all(cells.map(async cell => ({
+      label: [viewportLabel(cell.viewport), globalsLabel(cell.globals)].filter(Boolean).join(" · "),
+      pixelRatio: output.scale || resolveViewport(cell.viewport)?.device?.deviceScaleFactor || 1,
+      image: await this.takeScreenshot(storybookPath, {
+        args, viewport: cell.viewport, globals: cell.globals, crop, scale,
+        // The sheet is encoded once at the end; separate images use the requested format.
+        format: layout === "sheet" ? "png" : output.format, quality: layout === "sheet" ? undefined : output.quality,
+      }),
+    })));
+    if (layout !== "sheet") return { images: shots, mimeType: IMAGE_MIME_TYPES[output.format] };
+
+    const columns = Math.max(1, globals.length || Math.min(cells.length, 4));
+    const escape = text => text.replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+    const html = `<!doctype html><html><body style="margin:0;padding:16px;background:#f6f7f9;font:13px system-ui,sans-serif">
+      <div id="sheet" style="display:inline-grid;grid-template-columns:repeat(${columns},max-content);gap:16px;align-items:start">
+      ${shots.map(shot => `<figure style="margin:0;background:#fff;border:1px solid #dde1e6;padding:8px">
+        <img srcset="data:image/png;base64,${shot.image.toString("base64")} ${shot.pixelRatio}x" style="display:block;max-width:480px;max-height:640px">
+        <figcaption style="margin-top:6px;color:#333">${escape(shot.label)}</figcaption></figure>`).join("")}
+      </div></body></html>`;
+    // Cells keep their own pixel density (scale or device) – srcset sizes them in CSS pixels and
+    // the sheet is captured at the highest density, so the 480px cap does not downsample them.
+    const sheetScale = Math.max(...shots.map(shot => shot.pixelRatio));
+    const captureSheet = async page => {
+      await page.setContent(html, { waitUntil: "load" });
+      return this.captureScreenshot(page, { ...output, crop: "#sheet", isStory: false });
+    };
+    const sheet = sheetScale === 1 ? await this.withPage(captureSheet) : await this.withContext({ deviceScaleFactor: sheetScale }, captureSheet);
+    return { images: [{ label: `${storybookPath} (${cells.length} variants)`, image: sheet }], mimeType: IMAGE_MIME_TYPES[output.format] };
+  }
+
+  /**
+   * Loads a story (or docs page) with custom args, globals and viewport, then captures
+   * a screenshot, the rendered root HTML and any console/page errors raised meanwhile.
+   * URL-safe args/globals travel in the iframe URL; the rest go through the preview channel.
+   * Playwright device names and scale factors get a throwaway context, counted against the pool size.
+   */
+  async renderStory(storybookPath, { args, globals, viewport, fullPage = true, captureHtml = true, crop, scale, format, quality, inspect } = {}) {
+    const docId = storybookPath.replace(/^\/docs\//, "").replace(/^\/story\//, "").replace(/^\//, "");
+    const isStory = docId.includes("--") && !docId.includes("--docs");
+    await this.assertKnownId(docId);
+    const encodedArgs = serializeStoryArgs(args);
+    const encodedGlobals = serializeStoryArgs(globals);
+    const iframeUrl = this.buildStoryUrl(docId, isStory ? "story" : "docs", { args: encodedArgs.query, globals: encodedGlobals.query });
+    const resolved = resolveViewport(viewport);
+    const shot = { ...screenshotOptions({ crop: crop || (fullPage ? "full" : "viewport"), scale, format, quality }), isStory };
+
+    // Devices and scale factors are fixed per context, so they get a throwaway one.
+    if (resolved?.device || shot.scale) {
+      return this.withContext({
+        ...(resolved?.device || { viewport: resolved?.viewport || { width: 1280, height: 720 } }),
+        ...(shot.scale && { deviceScaleFactor: shot.scale }),
+      }, page => this.renderOnPage(page, { docId, iframeUrl, encodedArgs, encodedGlobals, shot, captureHtml, inspect }));
+    }
+
+    return this.withPage(async page => {
+      const previousViewport = page.viewportSize();
+      if (resolved) await page.setViewportSize(resolved.viewport);
+      try {
+        return await this.renderOnPage(page, { docId, iframeUrl, encodedArgs, encodedGlobals, shot, captureHtml, inspect });
+      } finally {
+        if (resolved && previousViewport) await page.setViewportSize(previousViewport);
+      }
+    });
+  }
+
+  async renderOnPage(page, { docId, iframeUrl, encodedArgs, encodedGlobals, shot, captureHtml, inspect }) {
+    const watcher = watchPageErrors(page);
+    const consoleErrors = watcher.errors;
+
+    try {
+      await this.safeNavigate(iframeUrl, page);
+      await this.waitForPreviewReady(page);
+      await this.assertRendered(page, docId, consoleErrors);
+
+      const lateArgs = Object.keys(encodedArgs.unsafe).length > 0 ? encodedArgs.unsafe : null;
+      const lateGlobals = Object.keys(encodedGlobals.unsafe).length > 0 ? encodedGlobals.unsafe : null;
+      if (lateArgs || lateGlobals) {
+        await page.evaluate(({ storyId, updatedArgs, updatedGlobals }) => {
+          const channel = window.__STORYBOOK_ADDONS_CHANNEL__;
+          if (!channel) throw new Error("Storybook preview channel not available");
+          Object.assign(window.__STORYBOOK_MCP__, { rendered: false, docsRendered: false, done: false });
+          if (updatedArgs) channel.emit("updateStoryArgs", { storyId, updatedArgs });
+          if (updatedGlobals) channel.emit("updateGlobals", { globals: updatedGlobals });
+        }, { storyId: docId, updatedArgs: lateArgs, updatedGlobals: lateGlobals });
+        await this.waitForPreviewReady(page);
+      }
+
+      if (inspect) return { url: iframeUrl, ...(await this.inspectPage(page, { ...inspect, isStory: shot.isStory })), consoleErrors };
+      const html = captureHtml
+        ? await page.evaluate(() => (document.querySelector("#storybook-root") || document.querySelector("#root") || document.body).innerHTML)
+        : "";
+      const screenshot = await this.captureScreenshot(page, shot);
+      return { url: iframeUrl, screenshot, mimeType: IMAGE_MIME_TYPES[shot.format], html, consoleErrors };
+    } catch (error) {
+      throw toStorybookError(error, { consoleErrors });
+    } finally {
+      watcher.stop();
+    }
+  }
+
+  // Renders like renderStory (args, globals, viewport) but returns inspectPage's report instead of an image.
+  async inspectStory(storybookPath, { args, globals, viewport, selector, depth, maxNodes, variables } = {}) {
+    return this.renderStory(storybookPath, { args, globals, viewport, captureHtml: false, inspect: { selector, depth, maxNodes, variables } });
+  }
+
+  /**
+   * What the loaded preview renders: Playwright's aria snapshot and a pruned DOM tree of the
+   * story (or docs) root, plus the computed styles and CSS custom properties in effect for
+   * `selector` – by default the root's first element, i.e. the component itself. Stylesheets
+   * the page cannot read (cross-origin) contribute no variable names.
+   */
+  async inspectPage(page, { selector, depth = 8, maxNodes = 250, variables, isStory }) {
+    const rootSelector = isStory ? "#storybook-root, #root" : "#storybook-docs, #docs-root";
+    const target = selector || `:is(${rootSelector}) > *`;
+    // One Playwright locator picks the element and counts matches, so text= and :has-text() selectors agree.
+    const element = page.locator(target);
+    const matches = await element.count();
+    if (matches === 0) throw new StorybookError("invalid_input", `No element matches "${target}".`);
+    // ariaSnapshot() is Playwright 1.49+; older installs get the DOM tree alone.
+    const root = page.locator(rootSelector).first();
+    const ariaSnapshot = typeof root.ariaSnapshot === "function" ? await root.ariaSnapshot({ depth }).catch(() => "") : "";
+
+    const tree = await page.evaluate(({ rootSelector, depth, maxNodes }) => {
+      const SKIPPED = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "LINK", "META"]);
+      const ATTRIBUTES = ["type", "href", "name", "value", "placeholder", "disabled", "checked", "for", "alt", "title", "data-testid"];
+      let count = 0, truncated = false;
+
+      const describe = (el, level) => {
+        if (count >= maxNodes) { truncated = true; return null; }
+        const style = getComputedStyle(el);
+        if (style.display === "none") return null;
+        count++;
+        const rect = el.getBoundingClientRect();
+        const attributes = {};
+        for (const attr of el.attributes) {
+          if (ATTRIBUTES.includes(attr.name) || attr.name.startsWith("aria-") || attr.name === "role") attributes[attr.name] = attr.value.slice(0, 100);
+        }
+        const text = Array.from(el.childNodes).filter(n => n.nodeType === Node.TEXT_NODE).map(n => n.textContent.trim()).filter(Boolean).join(" ").slice(0, 120);
+        const node = {
+          tag: el.tagName.toLowerCase(),
+          id: el.id || null,
+          classes: Array.from(el.classList).slice(0, 6),
+          attributes,
+          text: text || null,
+          box: { x: Math.round(rect.x), y: Math.round(rect.y), width: Math.round(rect.width), height: Math.round(rect.height) },
+          children: [],
+        };
+        const children = Array.from(el.children).filter(child => !SKIPPED.has(child.tagName));
+        if (level >= depth) {
+          if (children.length > 0) { node.omittedChildren = children.length; truncated = true; }
+          return node;
+        }
+        for (const child of children) {
+          const described = describe(child, level + 1);
+          if (described) node.children.push(described);
+        }
+        return node;
+      };
+
+      const root = document.querySelector(rootSelector) || document.body;
+      return {
+        dom: Array.from(root.children).filter(child => !SKIPPED.has(child.tagName)).map(child => describe(child, 1)).filter(Boolean),
+        truncated,
+      };
+    }, { rootSelector, depth, maxNodes });
+
+    const appearance = await element.first().evaluate((el, { variables, styleProperties }) => {
+      const computed = getComputedStyle(el);
+      const styles = {};
+      for (const property of styleProperties) {
+        const value = computed.getPropertyValue(property);
+        if (value) styles[property] = value;
+      }
+
+      // Custom properties are not enumerable on computed styles: collect the names declared
+      // by readable stylesheets and inline styles, then resolve each on the element.
+      const names = new Set();
+      const collect = declaration => { for (const name of declaration) if (name.startsWith("--")) names.add(name); };
+      const walk = rules => {
+        for (const rule of rules) {
+          if (rule.style) collect(rule.style);
+          if (rule.cssRules) walk(rule.cssRules);
+        }
+      };
+      for (const sheet of document.styleSheets) {
+        try { walk(sheet.cssRules); } catch {}
+      }
+      for (let node = el; node; node = node.parentElement) collect(node.style);
+      const cssVariables = {};
+      for (const name of Array.from(names).sort()) {
+        if (variables && !name.toLowerCase().includes(variables.toLowerCase())) continue;
+        const value = computed.getPropertyValue(name).trim();
+        if (value) cssVariables[name] = value;
+      }
+
+      return { styles, cssVariables };
+    }, { variables, styleProperties: INSPECT_STYLE_PROPERTIES });
+    return { ariaSnapshot, ...tree, selector: target, matches, ...appearance };
+  }
+
+  /**
+   * Runs axe-core against a story's root (or the whole docs page) inside the preview iframe.
+   * `tags` narrows the rule set (e.g. ["wcag2a", "wcag2aa"]); otherwise every rule axe enables runs.
+   */
+  async auditAccessibility(storybookPath, { tags } = {}) {
+    const docId = storybookPath.replace(/^\/docs\//, "").replace(/^\/story\//, "").replace(/^\//, "");
+    const isStory = docId.includes("--") && !docId.includes("--docs");
+    const iframeUrl = this.buildStoryUrl(docId, isStory ? "story" : "docs");
+    await this.assertKnownId(docId);
+
+    return this.withPage(async page => {
+      const watcher = watchPageErrors(page);
+      try {
+        await this.safeNavigate(iframeUrl, page);
+        await this.waitForPreviewReady(page);
+        await this.assertRendered(page, docId, watcher.errors);
+        if (!(await page.evaluate(() => !!window.axe))) await page.addScriptTag({ path: AXE_SCRIPT_PATH });
+
+        const result = await page.evaluate(async ({ isStory, tags }) => {
+          const root = isStory ? (document.querySelector("#storybook-root") || document.querySelector("#root") || document) : document;
+          const options = { resultTypes: ["violations"] };
+          if (tags?.length) options.runOnly = { type: "tag", values: tags };
+          const { violations, passes, incomplete } = await window.axe.run(root, options);
+          return {
+            violations: violations.map(v => ({
+              id: v.id,
+              impact: v.impact || "minor",
+              description: v.description,
+              help: v.help,
+              helpUrl: v.helpUrl,
+              nodes: v.nodes.map(n => ({ target: n.target.join(" "), html: n.html.slice(0, 300), failureSummary: n.failureSummary || "" })),
+            })),
+            passes: passes.length,
+            incomplete: incomplete.length,
+          };
+        }, { isStory, tags });
+        return { storyId: docId, url: iframeUrl, ...result };
+      } catch (error) {
+        throw toStorybookError(error, { consoleErrors: watcher.errors });
+      } finally {
+        watcher.stop();
+      }
+    });
+  }
+
+  /**
+   * Loads a story in a pooled page and waits, via the preview recorder, for a terminal
+   * render phase (or `storyRendered`), then turns the recorded instrumenter log into the
+   * same step tree the Interactions panel shows.
+   */
+  async runInteractions(storyId, { timeout = 15000 } = {}) {
+    const cleanId = storyId.replace(/^\/story\//, "").replace(/^\/docs\//, "").replace(/^\//, "");
+    if (cleanId.endsWith("--docs")) throw new StorybookError("invalid_input", `${cleanId} is a docs page; interactions run on stories`);
+    await this.assertKnownId(cleanId);
+
+    return this.withPage(async page => {
+      const started = Date.now();
+      await this.safeNavigate(this.buildStoryUrl(cleanId, "story"), page);
+      try {
+        await page.waitForFunction(() => {
+          const r = window.__STORYBOOK_MCP__;
+          // Storybook 6 has no render phases; storyRendered fires once play has settled.
+          return r && (r.done || (r.rendered && r.phases.length === 0));
+        }, null, { timeout, polling: 100 });
+      } catch {
+        const partial = await page.evaluate(() => window.__STORYBOOK_MCP__);
+        return { storyId: cleanId, status: "timeout", ...summarizeInteractions(partial), durationMs: Date.now() - started };
+      }
+
+      const record = await page.evaluate(() => window.__STORYBOOK_MCP__);
+      const summary = summarizeInteractions(record);
+      const hasPlay = record.phases.includes("playing") || summary.steps.length > 0;
+      const status = summary.error || record.phases.includes("errored") ? "failed" : hasPlay ? "passed" : "no-play";
+      return { storyId: cleanId, status, ...summary, durationMs: Date.now() - started };
+    });
+  }
+
+  async getFullNavigation() {
+    const entries = await this.getIndexEntries();
+    if (Object.keys(entries).length === 0) {
+      const nav = await this.getNavigation();
+      for (const item of nav.flatList) {
+        if (item.storybookPath) {
+          entries[item.storybookPath] = { type: item.type === "docs" ? "docs" : "story", name: item.name, title: item.category ? `${item.category}/${item.name}` : item.name };
+        }
+      }
+    }
+
+    const nav = {};
+    for (const [id, entry] of Object.entries(entries)) {
+      const title = entry.title || id;
+      const parts = title.split("/");
+      const type = entry.type;
+      const name = entry.name || id.split("--").pop() || "";
+      const category = parts[0];
+      const componentName = parts.length > 1 ? parts.slice(1).join("/") : parts[0];
+      if (!nav[category]) nav[category] = {};
+      if (!nav[category][componentName]) nav[category][componentName] = { docs: null, stories: [] };
+      const storyEntry = { id, name, type, title, tags: entry.tags || [], importPath: entry.importPath || null, componentPath: entry.componentPath || null };
+      if (type === "docs") nav[category][componentName].docs = storyEntry;
+      else if (type === "story") nav[category][componentName].stories.push(storyEntry);
+    }
+
+    const categories = [];
+    let totalDocs = 0, totalStories = 0;
+    for (const categoryName of Object.keys(nav).sort()) {
+      const components = [];
+      for (const [componentName, data] of Object.entries(nav[categoryName]).sort((a, b) => a[0].localeCompare(b[0]))) {
+        if (data.docs) totalDocs++;
+        totalStories += data.stories.length;
+        components.push({ name: componentName, path: data.docs?.id || data.stories[0]?.id || "", docs: data.docs, stories: data.stories });
+      }
+      categories.push({ name: categoryName, components });
+    }
+    return { categories, totalDocs, totalStories, totalEntries: totalDocs + totalStories };
+  }
+
+  // Ranked components (docs and stories) for a component name, import specifier or file path.
+  async findStoriesFor(query, { limit = 5 } = {}) {
+    return rankComponentMatches(componentsByTitle(await this.getFullNavigation()), query).slice(0, limit);
+  }
+
+  async getComponentEntries(componentPath) {
+    const fullNav = await this.getFullNavigation();
+    for (const category of fullNav.categories) {
+      for (const component of category.components) {
+        if (component.path.includes(componentPath) || component.name.toLowerCase().includes(componentPath.toLowerCase())) {
+          return { component, category: category.name };
+        }
+      }
+    }
+    return { component: null, category: null };
+  }
+
+  async getStoryContent(storyId) {
+    const cleanId = storyId.replace(/^\/story\//, "").replace(/^\/docs\//, "").replace(/^\//, "");
+    const isDocsPage = cleanId.includes("--docs") || cleanId.includes("--color");
+    const iframeUrl = this.buildStoryUrl(cleanId, isDocsPage ? "docs" : "story");
+    const cached = await this.getCachedDocs(cleanId, "story");
+    if (cached) return cached;
+    await this.assertKnownId(cleanId);
+
+    return this.withPage(async page => {
+      const watcher = watchPageErrors(page);
+      try {
+        await this.safeNavigate(iframeUrl, page);
+        await this.waitForPreviewReady(page);
+        await this.assertRendered(page, cleanId, watcher.errors);
+
+        const content = await page.evaluate(() => {
+          const result = { title: "", description: "", sections: [], codeBlocks: [], tables: [], html: "" };
+          for (const h1 of document.querySelectorAll("h1")) {
+            const text = h1.textContent?.trim() || "";
+            if (text && text !== "No Preview") { result.title = text; break; }
+          }
+          document.querySelectorAll("pre code").forEach(codeEl => {
+            const code = codeEl.textContent?.trim() || "";
+            if (code && code.length < 5000) result.codeBlocks.push({ language: codeEl.className.match(/language-(\w+)/)?.[1] || "html", code });
+          });
+          result.html = document.body.innerHTML;
+          return result;
+        });
+        content.props = await this.extractProps(page, cleanId);
+        content.source = isDocsPage ? null : await this.extractStorySource(page, cleanId);
+        const entry = await this.getIndexEntry(cleanId);
+        content.importPath = entry?.importPath || null;
+        content.componentPath = entry?.componentPath || null;
+
+        const result = { ...content, rawMarkdown: this.cleanMarkdown(this.turndown.turndown(content.html)) };
+        await this.cache.setDocs(cleanId, "story", result);
+        return result;
+      } catch (error) {
+        throw toStorybookError(error, { consoleErrors: watcher.errors });
+      } finally {
+        watcher.stop();
+      }
+    });
+  }
+
+  /**
+   * Collects the documented props for the page currently loaded in `page`.
+   * Reads the rendered ArgsTable and, when the preview exposes its story store,
+   * merges in the argTypes of `storyId` (or of the first story sharing its title
+   * when `storyId` is a docs entry). Store values win over parsed DOM text.
+   */
+  async extractProps(page, storyId) {
+    try {
+      return await page.evaluate(async (id) => {
+        const props = new Map();
+        const text = el => el?.textContent?.trim() || "";
+
+        const controlFromCell = cell => {
+          if (!cell) return null;
+          if (cell.querySelector("select")) return "select";
+          if (cell.querySelector("textarea")) return "object";
+          const input = cell.querySelector("input");
+          if (input) {
+            const kind = input.getAttribute("type") || "text";
+            if (kind === "checkbox") return cell.querySelectorAll("input").length > 1 ? "check" : "boolean";
+            return kind;
+          }
+          if (cell.querySelector("button")) return "object";
+          return null;
+        };
+
+        document.querySelectorAll("table.docblock-argstable tbody tr").forEach(row => {
+          const cells = row.querySelectorAll("td");
+          if (cells.length < 2 || cells[0].colSpan > 1) return;
+          const nameCell = cells[0].cloneNode(true);
+          const required = !!nameCell.querySelector('[title="Required"]');
+          nameCell.querySelectorAll('[title="Required"]').forEach(el => el.remove());
+          const name = text(nameCell);
+          if (!name) return;
+          const blocks = Array.from(cells[1].children);
+          const type = blocks.length > 1 ? text(blocks[blocks.length - 1]) : "";
+          const description = blocks.length > 1 ? blocks.slice(0, -1).map(text).filter(Boolean).join("\n") : text(cells[1]);
+          const defaultValue = text(cells[2]);
+          props.set(name, {
+            name, type, required, description,
+            defaultValue: defaultValue && defaultValue !== "-" ? defaultValue : null,
+            control: controlFromCell(cells[3]),
+            options: null,
+          });
+        });
+
+        const summarize = value => {
+          if (value == null) return "";
+          if (typeof value === "string") return value;
+          if (value.summary) return value.summary;
+          if (value.name === "enum" && Array.isArray(value.value)) return value.value.map(v => JSON.stringify(v)).join(" | ");
+          return value.name || JSON.stringify(value);
+        };
+
+        let argTypes = null;
+        try {
+          const preview = window.__STORYBOOK_PREVIEW__;
+          const store = preview?.storyStoreValue || preview?.storyStore;
+          if (store?.loadStory) {
+            let targetId = id;
+            const entries = store.storyIndex?.entries || {};
+            if (entries[id]?.type === "docs" || /--docs$/.test(id)) {
+              const title = entries[id]?.title;
+              targetId = Object.values(entries).find(e => e.type === "story" && e.title === title)?.id || null;
+            }
+            if (targetId) argTypes = (await store.loadStory({ storyId: targetId }))?.argTypes || null;
+          } else if (window.__STORYBOOK_STORY_STORE__?.fromId) {
+            argTypes = window.__STORYBOOK_STORY_STORE__.fromId(id)?.argTypes || null;
+          }
+        } catch {}
+
+        for (const [key, argType] of Object.entries(argTypes || {})) {
+          if (argType?.table?.disable) continue;
+          const name = argType.name || key;
+          const existing = props.get(name) || { name, type: "", required: false, description: "", defaultValue: null, control: null, options: null };
+          const control = typeof argType.control === "string" ? argType.control : argType.control?.type;
+          props.set(name, {
+            name,
+            type: summarize(argType.table?.type) || summarize(argType.type) || existing.type,
+            required: argType.type?.required ?? existing.required,
+            description: argType.description || existing.description,
+            defaultValue: argType.table?.defaultValue?.summary ?? existing.defaultValue,
+            control: control || existing.control,
+            options: argType.options || argType.control?.options || (argType.type?.name === "enum" ? argType.type.value : null) || existing.options,
+          });
+        }
+        return Array.from(props.values());
+      }, storyId);
+    } catch (error) {
+      console.error(`Failed to extract props for ${storyId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Resolves the usage snippet for a story loaded in `page`: an explicit
+   * `parameters.docs.source.code` wins, then the snippet the preview generated while
+   * rendering ("Show code"), then the story's CSF source (`originalSource`/`storySource`).
+   */
+  async extractStorySource(page, storyId) {
+    try {
+      return await page.evaluate(async (id) => {
+        let parameters = {};
+        try {
+          const preview = window.__STORYBOOK_PREVIEW__;
+          const store = preview?.storyStoreValue || preview?.storyStore;
+          if (store?.loadStory) parameters = (await store.loadStory({ storyId: id }))?.parameters || {};
+          else if (window.__STORYBOOK_STORY_STORE__?.fromId) parameters = window.__STORYBOOK_STORY_STORE__.fromId(id)?.parameters || {};
+        } catch {}
+        const docsSource = parameters.docs?.source || {};
+        const renderer = window.STORYBOOK_ENV || window.STORYBOOK_RENDERER || parameters.renderer || parameters.framework || null;
+        const snippet = window.__STORYBOOK_MCP__?.snippets?.[id];
+        const storySource = parameters.storySource;
+        let legacySource = null;
+        if (storySource?.source && storySource.locationsMap) {
+          const key = Object.keys(storySource.locationsMap).find(k => id.endsWith("--" + k)) || Object.keys(storySource.locationsMap)[0];
+          const location = storySource.locationsMap[key];
+          if (location) legacySource = storySource.source.split("\n").slice(location.startBody.line - 1, location.endBody.line).join("\n");
+        }
+
+        const candidates = [
+          docsSource.code && { code: docsSource.code, kind: "parameters" },
+          snippet && { code: snippet.source, kind: "dynamic", format: snippet.format },
+          docsSource.originalSource && { code: docsSource.originalSource, kind: "story-source" },
+          legacySource && { code: legacySource, kind: "story-source" },
+        ].filter(Boolean);
+        if (candidates.length === 0) return null;
+        return { ...candidates[0], language: docsSource.language || null, renderer, importPath: parameters.fileName || null };
+      }, storyId).then(async source => {
+        if (!source) return null;
+        const importPath = (await this.getIndexEntry(storyId).catch(() => null))?.importPath || source.importPath;
+        return { ...source, language: source.language || sourceLanguage({ ...source, importPath }) };
+      });
+    } catch (error) {
+      console.error(`Failed to extract source for ${storyId}:`, error);
+      return null;
+    }
+  }
+
+  // Own index entries plus those of every composed ref, under namespaced IDs.
+  async getIndexEntries() {
+    const data = await this.fetchIndexJson();
+    const refs = this.storybookInfo?.refs || [];
+    const refEntries = await Promise.all(refs.map(ref => this.fetchRefEntries(ref)));
+    return Object.assign({}, data?.entries || data?.stories || {}, ...refEntries);
+  }
+
+  async getIndexEntry(id) {
+    return (await this.getIndexEntries())[id] || null;
+  }
+
+  // project.json (framework, renderer, builder, addons) is emitted unless telemetry is disabled; null then.
+  async fetchProjectJson() {
+    this.projectInfoPromise ??= (async () => {
+      const url = this.config.baseUrl.replace("index.html", "").replace(/\/$/, "") + "/project.json";
+      try {
+        const response = await this.fetchWithAuth(url);
+        return response.ok && response.headers.get("content-type")?.includes("json") ? await response.json() : null;
+      } catch {
+        return null;
+      }
+    })();
+    return this.projectInfoPromise;
+  }
+
+  /**
+   * Reads globals, globalTypes (toolbar options) and, for `storyId`, the story's parameters and
+   * initial args from the preview store. Functions and deep structures are summarized so the
+   * result stays JSON-serializable.
+   */
+  async readPreviewMetadata(storyId) {
+    const entries = await this.getIndexEntries();
+    const targetId = storyId || Object.keys(entries).find(id => entries[id].type !== "docs");
+    if (!targetId) return { globals: {}, globalTypes: {}, story: null };
+    return this.withPage(async page => {
+      await this.safeNavigate(this.buildStoryUrl(targetId, entries[targetId]?.type === "docs" ? "docs" : "story"), page);
+      await this.waitForPreviewReady(page);
+      return page.evaluate(async ({ id, withStory }) => {
+        const toPlain = (value, depth = 0, seen = new WeakSet()) => {
+          if (typeof value === "function") return "[function]";
+          if (value === null || typeof value !== "object") return value;
+          if (seen.has(value)) return "[circular]";
+          if (depth > 4) return "[…]";
+          seen.add(value);
+          if (Array.isArray(value)) return value.map(v => toPlain(v, depth + 1, seen));
+          if (typeof Node !== "undefined" && value instanceof Node) return `[${value.nodeName}]`;
+          return Object.fromEntries(Object.entries(value).filter(([key]) => !key.startsWith("__")).map(([key, v]) => [key, toPlain(v, depth + 1, seen)]));
+        };
+        const preview = window.__STORYBOOK_PREVIEW__;
+        const store = preview?.storyStoreValue || preview?.storyStore;
+        const globals = store?.userGlobals?.get?.() || store?.globals?.get?.() || store?.globals?.globals || {};
+        const globalTypes = store?.projectAnnotations?.globalTypes || store?.globals?.globalTypes || {};
+        let story = null;
+        if (withStory && store?.loadStory) {
+          const loaded = await store.loadStory({ storyId: id }).catch(() => null);
+          if (loaded) story = { parameters: toPlain(loaded.parameters || {}), args: toPlain(loaded.initialArgs || {}), tags: loaded.tags || [] };
+        }
+        return { globals: toPlain(globals), globalTypes: toPlain(globalTypes), story };
+      }, { id: targetId, withStory: !!storyId });
+    });
+  }
+
+  /**
+   * Project-level metadata: Storybook version, framework/renderer/builder and addons from
+   * project.json, global toolbar options with their current values, and entry counts per tag.
+   */
+  async getProjectMetadata() {
+    const [info, project, entries] = await Promise.all([this.detectStorybookVersion(), this.fetchProjectJson(), this.getIndexEntries()]);
+    const preview = await this.readPreviewMetadata().catch(() => ({ globals: {}, globalTypes: {} }));
+
+    const globals = Object.entries(preview.globalTypes).map(([name, globalType]) => ({
+      name,
+      description: globalType.description || globalType.toolbar?.title || "",
+      defaultValue: globalType.defaultValue ?? null,
+      value: preview.globals[name] ?? null,
+      options: (globalType.toolbar?.items || []).map(item => (typeof item === "object" ? item.value : item)).filter(v => v !== undefined),
+    }));
+    for (const [name, value] of Object.entries(preview.globals)) {
+      if (!globals.some(g => g.name === name)) globals.push({ name, description: "", defaultValue: null, value, options: [] });
+    }
+
+    const tags = new Map();
+    for (const [id, entry] of Object.entries(entries)) {
+      for (const tag of entry.tags || []) {
+        if (!tags.has(tag)) tags.set(tag, []);
+        tags.get(tag).push(id);
+      }
+    }
+
+    const framework = project?.framework;
+    return {
+      url: this.sourceUrl,
+      version: info.exactVersion || info.version,
+      framework: (typeof framework === "object" ? framework?.name : framework) || null,
+      renderer: project?.renderer || null,
+      builder: project?.builder || null,
+      language: project?.language || null,
+      addons: Object.entries(project?.addons || {}).map(([name, addon]) => ({ name, version: addon?.version || null })),
+      refs: info.refs,
+      globals,
+      tags: Array.from(tags, ([tag, ids]) => ({ tag, count: ids.length, ids })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)),
+      totalEntries: Object.keys(entries).length,
+    };
+  }
+
+  /**
+   * Raw ColorPalette, Typeset and IconGallery blocks on one docs page, each with the heading
+   * it sits under. Cached per entry as variant "tokens".
+   */
+  async extractDocBlocks(docsId) {
+    const cached = await this.getCachedDocs(docsId, "tokens");
+    if (cached) return cached;
+    const blocks = await this.withPage(async page => {
+      await this.safeNavigate(this.buildStoryUrl(docsId, "docs"), page);
+      await this.waitForPreviewReady(page);
+      return page.evaluate(() => {
+        const text = el => el?.textContent?.trim() || "";
+        const headings = Array.from(document.querySelectorAll("h1, h2, h3, h4"));
+        const sectionOf = el => text(headings.filter(h => h.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING).pop()) || null;
+
+        const colors = Array.from(document.querySelectorAll(".docblock-colorpalette")).flatMap(palette => {
+          const section = sectionOf(palette);
+          return Array.from(palette.children).map(item => {
+            // A ColorItem renders one titled swatch per color followed by one titled label per color.
+            const titled = Array.from(item.querySelectorAll("[title]"));
+            if (titled.length === 0) return null;
+            const count = titled.length % 2 === 0 ? titled.length / 2 : titled.length;
+            const description = item.firstElementChild;
+            return {
+              section,
+              title: text(description?.children[0]) || null,
+              subtitle: text(description?.children[1]) || null,
+              swatches: titled.slice(0, count).map((swatch, i) => {
+                const value = swatch.getAttribute("title");
+                return {
+                  label: titled[count + i]?.getAttribute("title") || value,
+                  value,
+                  resolved: value.startsWith("var(") ? getComputedStyle(swatch).backgroundColor : null,
+                };
+              }),
+            };
+          }).filter(Boolean);
+        });
+
+        const typesets = Array.from(document.querySelectorAll(".docblock-typeset")).map(typeset => {
+          const samples = Array.from(typeset.querySelectorAll('[style*="font-size"]'));
+          return {
+            section: sectionOf(typeset),
+            fontFamily: samples[0]?.style.fontFamily || null,
+            fontWeight: samples[0]?.style.fontWeight || null,
+            sizes: samples.map(sample => ({ label: text(sample.previousElementSibling) || null, size: sample.style.fontSize })),
+          };
+        });
+
+        const icons = Array.from(document.querySelectorAll(".docblock-icongallery")).flatMap(gallery => {
+          const section = sectionOf(gallery);
+          return Array.from(gallery.children).map(item => ({ section, name: text(item.lastElementChild) })).filter(icon => icon.name);
+        });
+
+        return { colors, typesets, icons };
+      });
+    });
+    await this.cache.setDocs(docsId, "tokens", blocks);
+    return blocks;
+  }
+
+  /**
+   * Design tokens from every docs page (or those matching `path`/`category`) that uses
+   * ColorPalette, Typeset or IconGallery. Returns { tokens, pages, scanned, failures }.
+   */
+  async getTokens({ path, category } = {}) {
+    const entries = await this.getIndexEntries();
+    const cleanPath = path?.replace(/^\/(story|docs)\//, "");
+    const candidates = Object.entries(entries)
+      .filter(([, entry]) => entry.type === "docs" || entry.parameters?.docsOnly)
+      .filter(([id]) => !cleanPath || id === cleanPath || id.startsWith(cleanPath))
+      .filter(([, entry]) => !category || (entry.title || "").toLowerCase().includes(category.toLowerCase()))
+      .map(([id]) => id);
+
+    const failures = [];
+    const results = await Promise.all(candidates.map(id =>
+      this.extractDocBlocks(id).then(blocks => ({ id, blocks })).catch(error => { failures.push({ id, error: error.message || String(error) }); return null; })
+    ));
+    const tokens = [];
+    const pages = [];
+    for (const result of results.filter(Boolean)) {
+      const found = tokensFromDocBlocks(result.blocks, result.id);
+      if (found.length > 0) pages.push(result.id);
+      tokens.push(...found);
+    }
+    return { tokens: dedupeTokenNames(tokens), pages, scanned: candidates.length, failures };
+  }
+
+  // Index fields plus, for stories, parameters, initial args and globals from the preview.
+  async getEntryMetadata(id) {
+    const entry = await this.getIndexEntry(id);
+    if (!entry) return null;
+    const preview = entry.type === "docs"
+      ? await this.readPreviewMetadata().catch(() => null)
+      : await this.readPreviewMetadata(id).catch(() => null);
+    return {
+      id,
+      title: entry.title,
+      name: entry.name,
+      type: entry.type,
+      tags: entry.tags || [],
+      importPath: entry.importPath || null,
+      componentPath: entry.componentPath || null,
+      storiesImports: entry.storiesImports || [],
+      args: preview?.story?.args || null,
+      parameters: preview?.story?.parameters || null,
+      globals: preview?.globals || null,
+    };
+  }
+
+  cleanMarkdown(markdown) {
+    const patterns = [/^Name\s*$/gm, /^Description\s*$/gm, /^Default\s*$/gm, /^Control\s*$/gm, /^Copy\s*$/gm, /# No Preview[\s\S]*?(?=# [A-Z])/g];
+    let cleaned = markdown;
+    patterns.forEach(p => { cleaned = cleaned.replace(p, ""); });
+    return cleaned.replace(/\n{4,}/g, "\n\n\n").trim();
+  }
+}
+
+// ============================================================================
+// Visual snapshots – baselines on disk and pixel diffs against fresh captures
+// ============================================================================
+
+const DEFAULT_SNAPSHOT_DIR = (process.env.STORYBOOK_SNAPSHOT_DIR || "").trim() || join(process.cwd(), ".storybook-snapshots");
+const MAX_DIFF_IMAGES = 3;
+
+// Baselines are grouped per Storybook so several connections can share one snapshot root.
+function snapshotDirFor(rootDir, baseUrl) {
+  return join(rootDir, storybookKey(baseUrl));
+}
+
+function snapshotFileName(storyId) {
+  return storyId.replace(/[^a-zA-Z0-9_.-]/g, "_") + ".png";
+}
+
+async function readSnapshotManifest(dir) {
+  try {
+    return JSON.parse(await readFile(join(dir, "manifest.json"), "utf8"));
+  } catch {
+    return { stories: {} };
+  }
+}
+
+function padPng(png, width, height) {
+  if (png.width === width && png.height === height) return png;
+  const padded = new PNG({ width, height });
+  PNG.bitblt(png, padded, 0, 0, png.width, png.height, 0, 0);
+  return padded;
+}
+
+/**
+ * Pixel-diffs two PNG buffers. Images of different sizes are padded to the larger
+ * canvas so the size change itself shows up as changed pixels.
+ */
+function diffScreenshots(baselineBuffer, currentBuffer, { threshold = 0.1, includeAA = false } = {}) {
+  const baseline = PNG.sync.read(baselineBuffer);
+  const current = PNG.sync.read(currentBuffer);
+  const width = Math.max(baseline.width, current.width);
+  const height = Math.max(baseline.height, current.height);
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(padPng(baseline, width, height).data, padPng(current, width, height).data, diff.data, width, height, { threshold, includeAA });
+  return {
+    diffPixels,
+    diffRatio: diffPixels / (width * height),
+    sizeChanged: baseline.width !== current.width || baseline.height !== current.height,
+    diffImage: PNG.sync.write(diff),
+  };
+}
+
+async function saveBaselines(client, storyIds, dir, { viewport } = {}) {
+  await mkdir(dir, { recursive: true });
+  const manifest = await readSnapshotManifest(dir);
+  const results = await Promise.all(storyIds.map(async storyId => {
+    try {
+      const screenshot = await client.takeScreenshot(storyId, { viewport });
+      await writeFile(join(dir, snapshotFileName(storyId)), screenshot);
+      manifest.stories[storyId] = { file: snapshotFileName(storyId), viewport: viewport || null, updatedAt: new Date().toISOString() };
+      return { storyId, status: "saved" };
+    } catch (error) {
+      return { storyId, status: "error", error: error.message || String(error) };
+    }
+  }));
+  manifest.baseUrl = client.sourceUrl;
+  await writeFile(join(dir, "manifest.json"), JSON.stringify(manifest, null, 2));
+  return results;
+}
+
+async function compareWithBaselines(client, storyIds, dir, { threshold, includeAA, failureThreshold = 0 } = {}) {
+  const manifest = await readSnapshotManifest(dir);
+  const ids = storyIds?.length ? storyIds : Object.keys(manifest.stories);
+  await mkdir(join(dir, "current"), { recursive: true });
+  await mkdir(join(dir, "diff"), { recursive: true });
+  return Promise.all(ids.map(async storyId => {
+    const entry = manifest.stories[storyId];
+    if (!entry) return { storyId, status: "no-baseline" };
+    try {
+      const baseline = await readFile(join(dir, entry.file));
+      const current = await client.takeScreenshot(storyId, { viewport: entry.viewport || undefined });
+      await writeFile(join(dir, "current", entry.file), current);
+      const diff = diffScreenshots(baseline, current, { threshold, includeAA });
+      const changed = diff.sizeChanged || (diff.diffPixels > 0 && diff.diffRatio > failureThreshold);
+      if (changed) await writeFile(join(dir, "diff", entry.file), diff.diffImage);
+      return { storyId, status: changed ? "changed" : "unchanged", diffPixels: diff.diffPixels, diffRatio: diff.diffRatio, sizeChanged: diff.sizeChanged, diffImage: changed ? diff.diffImage : null };
+    } catch (error) {
+      return { storyId, status: "error", error: error.message || String(error) };
+    }
+  }));
+}
+
+// ============================================================================
+// Docs outline – a docs page cut into sections at its headings
+// ============================================================================
+
+// Plain-word markers survive Turndown unescaped; the page inserts them before headings and in place of canvases.
+const DOCS_SECTION_MARKER = "SBMCPSECTION";
+const DOCS_CANVAS_MARKER = "SBMCPCANVAS";
+
+/**
+ * Cuts the marked markdown of a docs page into sections, one per heading (text before the
+ * first heading becomes an "intro" section). Canvases become `[Story: id]` lines and are
+ * listed on their section; `outline` nests the headings by level.
+ */
+function outlineDocsPage(markedMarkdown, { headings, canvases }) {
+  const usedIds = new Set();
+  const toSection = (heading, body) => {
+    const stories = [];
+    const markdown = body.replace(new RegExp(`${DOCS_CANVAS_MARKER}(\\d+)X`, "g"), (_, index) => {
+      const storyId = canvases[index]?.storyId;
+      if (!storyId) return "[Story]";
+      stories.push(storyId);
+      return `[Story: \`${storyId}\`]`;
+    }).trim();
+    const base = heading ? heading.id || slugify(heading.text) : "intro";
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+    usedIds.add(id);
+    return { id, heading: heading?.text || null, level: heading?.level || 0, markdown, stories };
+  };
+
+  const parts = markedMarkdown.split(new RegExp(`${DOCS_SECTION_MARKER}(\\d+)X`));
+  const sections = parts[0].trim() ? [toSection(null, parts[0])] : [];
+  for (let i = 1; i < parts.length; i += 2) sections.push(toSection(headings[Number(parts[i])], parts[i + 1]));
+
+  const outline = [], stack = [];
+  for (const section of sections.filter(s => s.heading)) {
+    const node = { id: section.id, heading: section.heading, level: section.level, children: [] };
+    while (stack.length > 0 && stack[stack.length - 1].level >= node.level) stack.pop();
+    (stack.length > 0 ? stack[stack.length - 1].children : outline).push(node);
+    stack.push(node);
+  }
+  return { markdown: sections.map(s => s.markdown).filter(Boolean).join("\n\n"), sections, outline };
+}
+
+// The section matching `query` (id, then heading, then part of a heading) and its subsections.
+function selectDocsSection(sections, query) {
+  const q = String(query).trim().toLowerCase();
+  const start = [s => s.id === q, s => s.heading?.toLowerCase() === q, s => s.heading?.toLowerCase().includes(q)]
+    .map(match => sections.findIndex(match))
+    .find(index => index >= 0);
+  if (start === undefined) return [];
+  const level = sections[start].level || Infinity;
+  const end = sections.findIndex((s, i) => i > start && s.level <= level);
+  return sections.slice(start, end < 0 ? undefined : end);
+}
+
+// ============================================================================
+// Reverse lookup – from a component name, import specifier or file to its stories
+// ============================================================================
+
+// "./src/Button/Button.stories.tsx" -> "src/button/button": no leading ./, extension, ".stories" or "/index".
+function normalizeModulePath(path) {
+  return String(path || "").trim()
+    .replace(/^["'`]|["'`]$/g, "")
+    .replace(/\\/g, "/")
+    .replace(/\?.*$/, "")
+    .replace(/^(\.\.?\/)+/, "")
+    .replace(/\.(tsx?|jsx?|mjs|cjs|vue|svelte|mdx?)$/i, "")
+    .replace(/\.(stories|story)$/i, "")
+    .replace(/\/index$/i, "")
+    .toLowerCase();
+}
+
+const compactName = text => String(text || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+function commonSuffixLength(a, b) {
+  let n = 0;
+  while (n < a.length && n < b.length && compactName(a[a.length - 1 - n]) === compactName(b[b.length - 1 - n])) n++;
+  return n;
+}
+
+/**
+ * Scores components (from componentsByTitle) against a name, import specifier or source path.
+ * The component file (componentPath) matching the whole path wins outright; shorter matching
+ * path suffixes, the story file or its directory, and the title hierarchy score lower.
+ */
+function rankComponentMatches(components, query) {
+  const segments = normalizeModulePath(query).split("/").filter(Boolean);
+  const name = compactName(segments[segments.length - 1]);
+  if (!name) return [];
+  const directory = segments.slice(0, -1);
+
+  return Array.from(components, ([title, component]) => {
+    const entries = [component.docs, ...component.stories].filter(Boolean);
+    const componentPaths = [...new Set(entries.map(e => e.componentPath).filter(Boolean))];
+    const importPaths = [...new Set(entries.map(e => e.importPath).filter(Boolean))];
+    const reasons = [];
+    let score = 0;
+    const consider = (points, reason) => {
+      if (points <= 0) return;
+      reasons.push(reason);
+      score = Math.max(score, points);
+    };
+
+    for (const path of componentPaths) {
+      const candidate = normalizeModulePath(path).split("/");
+      const n = commonSuffixLength(segments, candidate);
+      if (n === 0) continue;
+      consider(n === segments.length || n === candidate.length ? 100 : 60 + 10 * n, `component file ${path}`);
+    }
+    for (const path of importPaths) {
+      const candidate = normalizeModulePath(path).split("/");
+      const n = commonSuffixLength(segments, candidate);
+      if (n > 0) consider(Math.min(90, 50 + 10 * n), `story file ${path}`);
+      else if (directory.length && commonSuffixLength(directory, candidate.slice(0, -1)) > 0) {
+        consider(40 + 5 * commonSuffixLength(directory, candidate.slice(0, -1)), `stories next to it in ${path}`);
+      }
+    }
+    const titleSegments = title.split("/").map(compactName);
+    if (titleSegments[titleSegments.length - 1] === name) consider(45, `title ${title}`);
+    else if (titleSegments.includes(name)) consider(30, `title ${title}`);
+    else if (name.length >= 3 && compactName(title).includes(name)) consider(15, `title ${title}`);
+    // Further path segments that also appear in the title ("forms/select" vs "Forms/Select") break ties.
+    const overlap = directory.filter(segment => titleSegments.includes(compactName(segment))).length;
+    if (score > 0) score += Math.min(overlap, 3);
+
+    return {
+      title,
+      score,
+      reasons,
+      docs: component.docs?.id || null,
+      stories: component.stories.map(s => ({ id: s.id, name: s.name })),
+      componentPath: componentPaths[0] || null,
+      importPath: importPaths[0] || null,
+    };
+  })
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
+}
+
+// ============================================================================
+// Usage validation – JSX/HTML snippets checked against documented argTypes
+// ============================================================================
+
+// Props every element accepts whether or not the component documents them.
+const UNIVERSAL_PROPS = new Set(["key", "ref", "children", "classname", "class", "style", "id", "slot", "tabindex", "title", "role"]);
+// Standard HTML attributes (compacted like prop names); components commonly pass them through
+// to their root element without documenting them, so they are not reported when undocumented.
+const HTML_ATTRIBUTES = new Set([
+  "accesskey", "autocapitalize", "autofocus", "contenteditable", "dir", "draggable", "hidden", "inert", "inputmode", "lang", "spellcheck", "translate", "part", "is",
+  "type", "name", "value", "defaultvalue", "checked", "defaultchecked", "disabled", "readonly", "required", "placeholder", "autocomplete", "min", "max", "step",
+  "minlength", "maxlength", "pattern", "multiple", "accept", "form", "formaction", "formmethod", "formnovalidate", "formtarget", "htmlfor", "for", "list", "selected", "label",
+  "href", "target", "rel", "download", "hreflang", "src", "srcset", "sizes", "alt", "width", "height", "loading", "decoding", "crossorigin", "referrerpolicy",
+  "open", "rows", "cols", "wrap", "colspan", "rowspan", "scope", "headers", "datetime", "cite", "action", "method", "enctype", "novalidate",
+  "dangerouslysetinnerhtml", "suppresshydrationwarning",
+]);
+const IGNORED_ELEMENTS = new Set(["Fragment", "React.Fragment", "Suspense", "React.Suspense", "StrictMode", "React.StrictMode"]);
+
+// Index just past the brace group opening at `start`, skipping braces inside string literals.
+// JSX inside the expression is skipped element by element, so quotes in its text ("Don't")
+// are not taken for string literals.
+function skipBraces(code, start) {
+  let depth = 0;
+  for (let i = start; i < code.length; i++) {
+    const char = code[i];
+    if (char === "\"" || char === "'" || char === "`") {
+      for (i++; i < code.length && code[i] !== char; i++) if (code[i] === "\\") i++;
+    } else if (char === "<" && /[A-Za-z>]/.test(code[i + 1] || "") && /(^|[(,=:?&|{[!>]|\breturn)$/.test(code.slice(start + 1, i).trimEnd())) {
+      i = skipJsxElement(code, i) - 1;
+    } else if (char === "{") depth++;
+    else if (char === "}" && --depth === 0) return i + 1;
+  }
+  return code.length;
+}
+
+// Index just past the JSX element or fragment opening at `start`, children included.
+function skipJsxElement(code, start) {
+  let depth = 0;
+  let i = start;
+  while (i < code.length) {
+    if (code[i] === "{") { i = skipBraces(code, i); continue; }
+    if (code[i] !== "<") { i++; continue; }
+    const closing = code[i + 1] === "/";
+    for (i++; i < code.length && code[i] !== ">"; i++) {
+      if (code[i] === "\"" || code[i] === "'") {
+        const end = code.indexOf(code[i], i + 1);
+        i = end === -1 ? code.length : end;
+      } else if (code[i] === "{") i = skipBraces(code, i) - 1;
+    }
+    const selfClosing = code[i - 1] === "/";
+    i++;
+    if (closing) depth--;
+    else if (!selfClosing) depth++;
+    if (depth <= 0) return i;
+  }
+  return code.length;
+}
+
+function literalValue(expression) {
+  const text = expression.trim();
+  const quoted = /^(["'`])([^]*)\1$/.exec(text);
+  if (quoted && !(quoted[1] === "`" && quoted[2].includes("${"))) return { literal: true, value: quoted[2] };
+  if (/^-?\d+(\.\d+)?$/.test(text)) return { literal: true, value: Number(text) };
+  if (text === "true" || text === "false") return { literal: true, value: text === "true" };
+  return { literal: false, value: text };
+}
+
+/**
+ * Opening tags in a JSX or HTML snippet: { name, line, props: [{ name, literal, value }],
+ * hasSpread, selfClosing }. A tolerant scanner rather than a parser – expressions in braces
+ * are kept as text and only literal strings, numbers and booleans get values.
+ */
+function parseJsxElements(code) {
+  const elements = [];
+  const tagStart = /<([A-Za-z][\w.:-]*)/g;
+  let match;
+  while ((match = tagStart.exec(code))) {
+    const element = { name: match[1], line: code.slice(0, match.index).split("\n").length, props: [], hasSpread: false, selfClosing: false };
+    let i = tagStart.lastIndex;
+    let closed = false;
+    while (i < code.length) {
+      while (/\s/.test(code[i] || "")) i++;
+      if (code.startsWith("/>", i)) { element.selfClosing = true; closed = true; i += 2; break; }
+      if (code[i] === ">") { closed = true; i++; break; }
+      if (code[i] === "{") {
+        const end = skipBraces(code, i);
+        if (code.slice(i + 1, end - 1).trim().startsWith("...")) element.hasSpread = true;
+        i = end;
+        continue;
+      }
+      const name = /^[^\s=/>{]+/.exec(code.slice(i))?.[0];
+      if (!name) break;
+      i += name.length;
+      while (/\s/.test(code[i] || "")) i++;
+      if (code[i] !== "=") { element.props.push({ name, literal: true, value: true }); continue; }
+      i++;
+      while (/\s/.test(code[i] || "")) i++;
+      if (code[i] === "\"" || code[i] === "'") {
+        const end = code.indexOf(code[i], i + 1);
+        element.props.push({ name, literal: true, value: code.slice(i + 1, end === -1 ? code.length : end) });
+        i = end === -1 ? code.length : end + 1;
+      } else if (code[i] === "{") {
+        const end = skipBraces(code, i);
+        element.props.push({ name, ...literalValue(code.slice(i + 1, end - 1)) });
+        i = end;
+      } else {
+        const value = /^[^\s/>]+/.exec(code.slice(i))?.[0] || "";
+        element.props.push({ name, literal: true, value });
+        i += value.length;
+      }
+    }
+    if (!closed) continue;
+    elements.push(element);
+    tagStart.lastIndex = i;
+  }
+  return elements;
+}
+
+// Allowed values of a prop: its select/radio options, or the string literals of a union type.
+function allowedValues(prop) {
+  const options = Array.isArray(prop.options) ? prop.options : prop.options && typeof prop.options === "object" ? Object.values(prop.options) : null;
+  if (options?.length) return options.map(String);
+  const literals = String(prop.type || "").split("|").map(part => part.trim());
+  if (literals.length > 1 && literals.every(part => /^(["'])[^"']*\1$/.test(part))) return literals.map(part => part.slice(1, -1));
+  return null;
+}
+
+function closestNames(name, candidates, limit = 3) {
+  const target = compactName(name);
+  const max = Math.max(2, Math.floor(target.length / 3));
+  return candidates
+    .map(candidate => ({ candidate, distance: editDistance(target, compactName(candidate), max) }))
+    .filter(c => c.distance <= max)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(c => c.candidate);
+}
+
+// Issues for one element against its documented props: unknown props, invalid enum values, missing required props.
+function checkElementUsage(element, props) {
+  const issues = [];
+  const documented = new Map(props.map(p => [compactName(p.name), p]));
+  for (const attribute of element.props) {
+    const key = compactName(attribute.name);
+    const prop = documented.get(key);
+    if (!prop) {
+      if (UNIVERSAL_PROPS.has(key) || HTML_ATTRIBUTES.has(key) || /^(data|aria)-/.test(attribute.name)) continue;
+      // Event handlers: onClick in JSX, onclick on custom elements in HTML.
+      if (/^on[A-Z]/.test(attribute.name) || (element.name.includes("-") && /^on[a-z]+$/.test(attribute.name))) continue;
+      issues.push({ severity: "error", message: `Unknown prop \`${attribute.name}\``, suggestions: closestNames(attribute.name, props.map(p => p.name)) });
+      continue;
+    }
+    const allowed = allowedValues(prop);
+    if (allowed && attribute.literal && typeof attribute.value === "string" && !allowed.includes(attribute.value)) {
+      issues.push({ severity: "error", message: `Invalid value "${attribute.value}" for \`${prop.name}\`; allowed: ${allowed.map(v => `"${v}"`).join(", ")}`, suggestions: closestNames(attribute.value, allowed) });
+    }
+  }
+  if (!element.hasSpread) {
+    const given = new Set(element.props.map(p => compactName(p.name)));
+    for (const prop of props.filter(p => p.required)) {
+      if (given.has(compactName(prop.name))) continue;
+      if (prop.name === "children" && !element.selfClosing) continue;
+      issues.push({ severity: "error", message: `Missing required prop \`${prop.name}\`${prop.type ? ` (${prop.type})` : ""}`, suggestions: [] });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Validates every design-system element in `code`: capitalized JSX tags and custom elements
+ * are resolved to documented components (by title and component file) and checked against
+ * their props. Lowercase HTML elements are skipped.
+ */
+async function validateUsage(client, code) {
+  const components = componentsByTitle(await client.getFullNavigation());
+  const componentNames = Array.from(components.keys(), title => title.split("/").pop());
+  const propsByTitle = new Map();
+  const elements = parseJsxElements(code).filter(e => !IGNORED_ELEMENTS.has(e.name) && (/^[A-Z]/.test(e.name) || e.name.includes(".") || e.name.includes("-")));
+
+  const results = [];
+  for (const element of elements) {
+    // <Card.Header> is documented as "Card/Header" or "CardHeader"; <acme-button> often as "Button".
+    const names = [element.name.replace(/\./g, ""), element.name.split(".").pop(), element.name.split("-").slice(1).join("-")].filter(Boolean);
+    const match = names.map(name => rankComponentMatches(components, name)[0]).find(m => m && m.score >= 45);
+    if (!match) {
+      results.push({ ...element, component: null, issues: [{ severity: "error", message: `Unknown component \`${element.name}\``, suggestions: closestNames(element.name, componentNames) }] });
+      continue;
+    }
+    if (!propsByTitle.has(match.title)) propsByTitle.set(match.title, componentProps(client, components.get(match.title)).catch(() => []));
+    const props = await propsByTitle.get(match.title);
+    const issues = props.length
+      ? checkElementUsage(element, props)
+      : [{ severity: "warning", message: `${match.title} documents no props; prop checks skipped`, suggestions: [] }];
+    results.push({ ...element, component: match.title, docs: match.docs || match.stories[0]?.id || null, issues });
+  }
+  return results;
+}
+
+function formatUsageReport(results) {
+  const errors = results.flatMap(r => r.issues).filter(i => i.severity === "error").length;
+  const warnings = results.flatMap(r => r.issues).filter(i => i.severity === "warning").length;
+  if (results.length === 0) return "# Usage check\n\nNo design-system elements found (capitalized JSX tags or custom elements).";
+  let report = `# Usage check\n\n${errors === 0 ? "No errors" : `${errors} error(s)`}${warnings ? `, ${warnings} warning(s)` : ""} in ${results.length} element(s)\n\n`;
+  for (const result of results) {
+    report += `- Line ${result.line}: \`<${result.name}>\`${result.component ? ` → ${result.component}${result.docs ? ` (\`${result.docs}\`)` : ""}` : ""}${result.issues.length ? "" : ": ok"}\n`;
+    result.issues.forEach(issue => {
+      report += `  - ${issue.severity}: ${issue.message}${issue.suggestions.length ? ` – did you mean ${issue.suggestions.map(s => `\`${s}\``).join(", ")}?` : ""}\n`;
+    });
+  }
+  return report;
+}
+
+// ============================================================================
+// Comparison – changelog between two Storybooks (releases, PR previews)
+// ============================================================================
+
+// Components keyed by title, from getFullNavigation.
+function componentsByTitle(nav) {
+  const components = new Map();
+  for (const category of nav.categories) {
+    for (const component of category.components) {
+      const title = component.docs?.title || component.stories[0]?.title || `${category.name}/${component.name}`;
+      components.set(title, component);
+    }
+  }
+  return components;
+}
+
+/**
+ * Diffs two navigation trees. A story whose id disappeared while another id appeared with the
+ * same title and name, or the same file and name, is reported as renamed rather than removed
+ * and added; components are matched the same way through their story file.
+ */
+function diffNavigation(baseNav, headNav) {
+  const base = componentsByTitle(baseNav);
+  const head = componentsByTitle(headNav);
+  const entriesOf = components => new Map(Array.from(components.values()).flatMap(c => [c.docs, ...c.stories].filter(Boolean)).map(e => [e.id, e]));
+  const baseEntries = entriesOf(base);
+  const headEntries = entriesOf(head);
+
+  let removed = Array.from(baseEntries.values()).filter(e => !headEntries.has(e.id));
+  let added = Array.from(headEntries.values()).filter(e => !baseEntries.has(e.id));
+  const renamed = [];
+  for (const before of removed) {
+    const after = added.find(a => a.type === before.type && a.name === before.name && (a.title === before.title || (before.importPath && a.importPath === before.importPath)));
+    if (!after) continue;
+    renamed.push({ from: before.id, to: after.id, fromTitle: before.title, toTitle: after.title, name: after.name });
+    added = added.filter(a => a !== after);
+  }
+  removed = removed.filter(e => !renamed.some(r => r.from === e.id));
+
+  const importPathsOf = component => new Set([component.docs, ...component.stories].map(e => e?.importPath).filter(Boolean));
+  const movedComponents = [];
+  const addedComponents = [];
+  for (const [title, component] of head) {
+    if (base.has(title)) continue;
+    const paths = importPathsOf(component);
+    const previous = Array.from(base).find(([oldTitle, old]) => !head.has(oldTitle) && [...importPathsOf(old)].some(p => paths.has(p)));
+    if (previous) movedComponents.push({ from: previous[0], to: title });
+    else addedComponents.push({ title, stories: component.stories.length, path: component.path });
+  }
+  const removedComponents = Array.from(base)
+    .filter(([title]) => !head.has(title) && !movedComponents.some(m => m.from === title))
+    .map(([title, component]) => ({ title, stories: component.stories.length, path: component.path }));
+
+  const inComponent = (entry, titles) => titles.some(t => entry.title === t);
+  return {
+    addedComponents,
+    removedComponents,
+    movedComponents,
+    // Stories of wholly added/removed components are already covered by the component lines.
+    addedStories: added.filter(e => e.type !== "docs" && !inComponent(e, addedComponents.map(c => c.title))),
+    removedStories: removed.filter(e => e.type !== "docs" && !inComponent(e, removedComponents.map(c => c.title))),
+    renamed,
+    matched: [
+      ...Array.from(head).filter(([title]) => base.has(title)).map(([title, component]) => ({ title, base: base.get(title), head: component })),
+      ...movedComponents.map(m => ({ title: m.to, base: base.get(m.from), head: head.get(m.to) })),
+    ],
+  };
+}
+
+// Prop-level changes between two extracted props lists: added, removed and type/default/required edits.
+function diffProps(baseProps, headProps) {
+  const before = new Map((baseProps || []).map(p => [p.name, p]));
+  const after = new Map((headProps || []).map(p => [p.name, p]));
+  const changes = [];
+  for (const [name, prop] of after) {
+    const old = before.get(name);
+    if (!old) { changes.push({ kind: "added", name, prop }); continue; }
+    const fields = ["type", "defaultValue", "required"].filter(field => (old[field] ?? null) !== (prop[field] ?? null));
+    if (fields.length) changes.push({ kind: "changed", name, fields: fields.map(field => ({ field, from: old[field] ?? null, to: prop[field] ?? null })) });
+  }
+  for (const [name, prop] of before) {
+    if (!after.has(name)) changes.push({ kind: "removed", name, prop });
+  }
+  return changes;
+}
+
+async function componentProps(client, component) {
+  if (component.docs) {
+    // A docs page that fails to render still leaves the story's props.
+    const page = await client.getPageContent(component.docs.id, "structured").catch(() => null);
+    if (page?.props?.length) return page.props;
+  }
+  const story = component.stories[0] && await client.getStoryContent(component.stories[0].id);
+  return story?.props || [];
+}
+
+/**
+ * Compares two connected Storybooks. `component` narrows the comparison to titles containing it;
+ * `props` extracts props of components present in both; `visual` screenshots up to `limit`
+ * stories that exist on both sides (following renames) and pixel-diffs them.
+ */
+async function compareStorybooks(baseClient, headClient, { component, props = true, visual = false, limit = 20, threshold, failureThreshold = 0 } = {}) {
+  const [baseNav, headNav] = await Promise.all([baseClient.getFullNavigation(), headClient.getFullNavigation()]);
+  const diff = diffNavigation(baseNav, headNav);
+  if (component) {
+    const wanted = component.toLowerCase();
+    const keep = title => (title || "").toLowerCase().includes(wanted);
+    diff.addedComponents = diff.addedComponents.filter(c => keep(c.title));
+    diff.removedComponents = diff.removedComponents.filter(c => keep(c.title));
+    diff.movedComponents = diff.movedComponents.filter(m => keep(m.from) || keep(m.to));
+    diff.addedStories = diff.addedStories.filter(e => keep(e.title));
+    diff.removedStories = diff.removedStories.filter(e => keep(e.title));
+    diff.renamed = diff.renamed.filter(r => keep(r.fromTitle) || keep(r.toTitle));
+    diff.matched = diff.matched.filter(m => keep(m.title));
+  }
+
+  const propChanges = [];
+  if (props) {
+    await Promise.all(diff.matched.map(async ({ title, base, head }) => {
+      try {
+        const changes = diffProps(await componentProps(baseClient, base), await componentProps(headClient, head));
+        if (changes.length) propChanges.push({ title, changes });
+      } catch (error) {
+        propChanges.push({ title, error: error.message || String(error), changes: [] });
+      }
+    }));
+    propChanges.sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  let visualChanges = null;
+  if (visual) {
+    const pairs = [
+      ...diff.matched.flatMap(({ base, head }) => head.stories.filter(s => base.stories.some(b => b.id === s.id)).map(s => ({ baseId: s.id, headId: s.id }))),
+      ...diff.renamed.filter(r => !r.to.endsWith("--docs")).map(r => ({ baseId: r.from, headId: r.to })),
+    ].slice(0, limit);
+    visualChanges = await Promise.all(pairs.map(async ({ baseId, headId }) => {
+      try {
+        const [before, after] = await Promise.all([baseClient.takeScreenshot(baseId), headClient.takeScreenshot(headId)]);
+        const result = diffScreenshots(before, after, { threshold });
+        const changed = result.sizeChanged || (result.diffPixels > 0 && result.diffRatio > failureThreshold);
+        return { storyId: headId, status: changed ? "changed" : "unchanged", diffRatio: result.diffRatio, sizeChanged: result.sizeChanged, diffImage: changed ? result.diffImage : null };
+      } catch (error) {
+        return { storyId: headId, status: "error", error: error.message || String(error) };
+      }
+    }));
+  }
+
+  return { ...diff, propChanges, visualChanges };
+}
+
+function formatComparison(result, baseLabel, headLabel) {
+  const show = value => (value === null || value === "" ? "—" : `\`${value}\``);
+  const changedProps = result.propChanges.filter(p => p.changes.length);
+  const visualChanged = (result.visualChanges || []).filter(v => v.status === "changed");
+  let report = `# Storybook changes\n\n**Base:** ${baseLabel}\n**Head:** ${headLabel}\n\n`;
+  report += `**Summary:** ${result.addedComponents.length} components added, ${result.removedComponents.length} removed, ${result.movedComponents.length} moved; `
+    + `${result.addedStories.length} stories added, ${result.removedStories.length} removed, ${result.renamed.length} renamed; `
+    + `props changed in ${changedProps.length} components`
+    + (result.visualChanges ? `; ${visualChanged.length} of ${result.visualChanges.length} stories look different` : "") + "\n\n";
+
+  if (result.addedComponents.length) {
+    report += "## Added components\n\n";
+    result.addedComponents.forEach(c => { report += `- **${c.title}** (\`${c.path}\`, ${c.stories} stories)\n`; });
+    report += "\n";
+  }
+  if (result.removedComponents.length) {
+    report += "## Removed components\n\n";
+    result.removedComponents.forEach(c => { report += `- **${c.title}** (\`${c.path}\`, ${c.stories} stories)\n`; });
+    report += "\n";
+  }
+  if (result.movedComponents.length) {
+    report += "## Moved components\n\n";
+    result.movedComponents.forEach(m => { report += `- ${m.from} → **${m.to}**\n`; });
+    report += "\n";
+  }
+  if (result.addedStories.length || result.removedStories.length || result.renamed.length) {
+    report += "## Stories\n\n";
+    result.addedStories.forEach(e => { report += `- Added: ${e.title} / ${e.name} (\`${e.id}\`)\n`; });
+    result.removedStories.forEach(e => { report += `- Removed: ${e.title} / ${e.name} (\`${e.id}\`)\n`; });
+    result.renamed.forEach(r => { report += `- Renamed: \`${r.from}\` → \`${r.to}\`${r.fromTitle !== r.toTitle ? ` (${r.fromTitle} → ${r.toTitle})` : ""}\n`; });
+    report += "\n";
+  }
+  if (result.propChanges.length) {
+    report += "## Props\n\n";
+    for (const { title, changes, error } of result.propChanges) {
+      report += `### ${title}\n\n`;
+      if (error) report += `- Could not extract props: ${error}\n`;
+      changes.forEach(change => {
+        if (change.kind === "added") report += `- Added \`${change.name}\`${change.prop.type ? `: ${show(change.prop.type)}` : ""}${change.prop.required ? " (required)" : ""}\n`;
+        else if (change.kind === "removed") report += `- Removed \`${change.name}\`\n`;
+        else report += `- Changed \`${change.name}\`: ${change.fields.map(f => `${f.field} ${show(f.from)} → ${show(f.to)}`).join("; ")}\n`;
+      });
+      report += "\n";
+    }
+  }
+  if (result.visualChanges) {
+    report += "## Visual changes\n\n";
+    if (visualChanged.length === 0) report += "No visual differences in the compared stories.\n";
+    result.visualChanges.filter(v => v.status !== "unchanged").forEach(v => {
+      report += v.status === "changed"
+        ? `- \`${v.storyId}\`: ${(v.diffRatio * 100).toFixed(2)}% pixels differ${v.sizeChanged ? ", size changed" : ""}\n`
+        : `- \`${v.storyId}\`: error – ${v.error}\n`;
+    });
+    if (visualChanged.length > MAX_DIFF_IMAGES) report += `\nShowing the first ${MAX_DIFF_IMAGES} diff images.\n`;
+  }
+  return report;
+}
+
+// ============================================================================
+// Interactions – turning instrumenter calls into an Interactions-panel style log
+// ============================================================================
+
+function describeInteractionArg(arg) {
+  if (arg === null || arg === undefined) return String(arg);
+  if (typeof arg !== "object") return JSON.stringify(arg);
+  if (arg.__element__) return `<${arg.__element__.localName}${arg.__element__.id ? `#${arg.__element__.id}` : ""}>`;
+  if (arg.__callId__) return "…";
+  if (arg.__function__) return `${arg.__function__.name || "fn"}()`;
+  if (arg.__class__) return arg.__class__.name;
+  if (arg.__regexp__) return `/${arg.__regexp__.source}/${arg.__regexp__.flags}`;
+  if (arg.__date__) return arg.__date__.value;
+  return Array.isArray(arg) ? `[${arg.map(describeInteractionArg).join(", ")}]` : "{…}";
+}
+
+/**
+ * Orders recorded instrumenter calls by the final sync log (falling back to arrival order),
+ * renders each as a step line, and picks out the failing call and its enclosing `step()`.
+ */
+function summarizeInteractions(record) {
+  if (!record) return { steps: [], error: null, failingStep: null };
+  const calls = record.calls || {};
+  const order = record.logItems?.map(item => item.callId) || record.order || [];
+  const statusOf = id => record.logItems?.find(item => item.callId === id)?.status || calls[id]?.status || "done";
+  const steps = order.filter(id => calls[id]).map(id => {
+    const call = calls[id];
+    const label = call.method === "step"
+      ? `step: ${typeof call.args?.[0] === "string" ? call.args[0] : describeInteractionArg(call.args?.[0])}`
+      : `${[...(call.path || []), call.method].join(".")}(${(call.args || []).map(describeInteractionArg).join(", ")})`;
+    return { id, depth: (call.ancestors || []).length, status: statusOf(id), label };
+  });
+
+  const failed = order.map(id => calls[id]).find(call => call && (statusOf(call.id) === "error" || call.exception));
+  let failingStep = null;
+  if (failed) {
+    const stepAncestor = [...(failed.ancestors || [])].reverse().map(id => calls[id]).find(call => call?.method === "step");
+    failingStep = stepAncestor ? String(stepAncestor.args?.[0]) : steps.find(s => s.id === failed.id)?.label || null;
+  }
+  const error = record.error || (failed ? { message: failed.exception?.message || `${failed.method} failed`, stack: failed.exception?.stack || "" } : null);
+  return { steps, error, failingStep };
+}
+
+// ============================================================================
+// Design tokens – ColorPalette/Typeset/IconGallery blocks to JSON, CSS or Tailwind
+// ============================================================================
+
+const TOKEN_CSS_PREFIX = { color: "color", "font-family": "font-family", "font-size": "font-size", "font-weight": "font-weight" };
+const TOKEN_TAILWIND_KEY = { color: "colors", "font-family": "fontFamily", "font-size": "fontSize", "font-weight": "fontWeight" };
+
+/**
+ * Flattens extracted doc blocks into tokens { name, value, type, group, usage, source }.
+ * Color names join the ColorItem title with the swatch key ("primary-500"); unnamed
+ * swatches of a multi-color item are numbered.
+ */
+function tokensFromDocBlocks({ colors = [], typesets = [], icons = [] }, source) {
+  const tokens = [];
+  for (const item of colors) {
+    const group = item.title || item.section || "colors";
+    item.swatches.forEach((swatch, i) => {
+      const key = swatch.label !== swatch.value ? swatch.label : item.swatches.length > 1 ? String(i + 1) : "";
+      tokens.push({
+        name: slugify([group, key].filter(Boolean).join("-")),
+        value: swatch.value,
+        ...(swatch.resolved && { resolved: swatch.resolved }),
+        type: "color",
+        group,
+        usage: item.subtitle || null,
+        source,
+      });
+    });
+  }
+  for (const typeset of typesets) {
+    const group = typeset.section || "typography";
+    if (typeset.fontFamily) {
+      const family = typeset.fontFamily.split(",")[0].replace(/["']/g, "").trim();
+      tokens.push({ name: slugify(family), value: typeset.fontFamily, type: "font-family", group, usage: null, source });
+    }
+    if (typeset.fontWeight) tokens.push({ name: slugify(group), value: typeset.fontWeight, type: "font-weight", group, usage: null, source });
+    typeset.sizes.forEach((size, i) => {
+      const label = size.label && size.label !== size.size ? size.label : String(i + 1);
+      tokens.push({ name: slugify(`${group}-${label}`), value: size.size, type: "font-size", group, usage: null, source });
+    });
+  }
+  for (const icon of icons) {
+    tokens.push({ name: slugify(icon.name), value: icon.name, type: "icon", group: icon.section || "icons", usage: null, source });
+  }
+  return tokens;
+}
+
+// The same palette is often shown on several pages; keep identical tokens once and suffix clashes.
+function dedupeTokenNames(tokens) {
+  const seen = new Map();
+  const result = [];
+  for (const token of tokens) {
+    const key = `${token.type}:${token.name}`;
+    const existing = seen.get(key);
+    if (existing?.some(t => t.value === token.value)) continue;
+    if (existing) {
+      result.push({ ...token, name: `${token.name}-${existing.length + 1}` });
+      existing.push(token);
+    } else {
+      seen.set(key, [token]);
+      result.push(token);
+    }
+  }
+  return result;
+}
+
+function tokensToCss(tokens) {
+  let css = ":root {\n";
+  for (const token of tokens) {
+    const prefix = TOKEN_CSS_PREFIX[token.type];
+    if (!prefix) continue;
+    css += `  --${prefix}-${token.name}: ${token.value};${token.usage ? ` /* ${token.usage.replace(/\*\//g, "")} */` : ""}\n`;
+  }
+  return css + "}\n";
+}
+
+/**
+ * Tailwind `theme.extend` fragment. Colors are nested by their group ("primary-500" in group
+ * "Primary" becomes colors.primary["500"]); a group's unkeyed color becomes DEFAULT.
+ */
+function tokensToTailwind(tokens) {
+  const extend = {};
+  for (const token of tokens) {
+    const section = TOKEN_TAILWIND_KEY[token.type];
+    if (!section) continue;
+    extend[section] ??= {};
+    if (token.type === "color") {
+      const group = slugify(token.group);
+      const key = token.name === group ? "DEFAULT" : token.name.startsWith(group + "-") ? token.name.slice(group.length + 1) : null;
+      if (key) {
+        if (typeof extend.colors[group] === "string") extend.colors[group] = { DEFAULT: extend.colors[group] };
+        extend.colors[group] ??= {};
+        extend.colors[group][key] = token.value;
+      } else {
+        extend.colors[token.name] = token.value;
+      }
+    } else if (token.type === "font-family") {
+      extend.fontFamily[token.name] = token.value.split(",").map(f => f.trim().replace(/^["']|["']$/g, ""));
+    } else {
+      extend[section][token.name] = token.value;
+    }
+  }
+  for (const [group, value] of Object.entries(extend.colors || {})) {
+    if (typeof value === "object" && Object.keys(value).length === 1 && value.DEFAULT) extend.colors[group] = value.DEFAULT;
+  }
+  return `/** @type {import('tailwindcss').Config} */\nmodule.exports = ${JSON.stringify({ theme: { extend } }, null, 2)};\n`;
+}
+
+// ============================================================================
+// Export – write a whole Storybook to a Markdown/JSON knowledge bundle
+// ============================================================================
+
+function slugify(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "untitled";
+}
+
+function frontMatter(fields) {
+  let yaml = "---\n";
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) continue;
+    yaml += Array.isArray(value) ? `${key}:\n${value.map(v => `  - ${JSON.stringify(v)}`).join("\n")}\n` : `${key}: ${JSON.stringify(value)}\n`;
+  }
+  return yaml + "---\n\n";
+}
+
+function firstParagraph(markdown, max = 160) {
+  const paragraph = String(markdown || "").split(/\n{2,}/).map(p => p.trim()).find(p => p && !/^(#|```|\||!\[|<)/.test(p)) || "";
+  const flat = paragraph.replace(/\s+/g, " ");
+  return flat.length > max ? flat.slice(0, max - 1) + "…" : flat;
+}
+
+/**
+ * Extracts every docs page (and optionally every story) and writes one Markdown file per
+ * entry under `<category>/<component>/`, plus manifest.json and an optional llms.txt.
+ * Entries that fail to load are skipped and reported in the manifest.
+ */
+async function exportStorybook(client, { outDir, includeStories = true, llmsTxt = true, category, onProgress } = {}) {
+  const data = await client.fetchIndexJson();
+  const indexEntries = data?.entries || data?.stories || {};
+  const fullNav = await client.getFullNavigation();
+  const targets = [];
+  // File names are picked here, in navigation order, so the same Storybook always exports to the same paths.
+  const usedFiles = new Set();
+  const addTarget = (entry, dir, cat, comp) => {
+    let file = `${dir}/${slugify(entry.type === "docs" ? "docs" : entry.name)}.md`;
+    if (usedFiles.has(file)) file = `${dir}/${slugify(entry.id)}.md`;
+    usedFiles.add(file);
+    targets.push({ entry, dir, file, category: cat.name, component: comp.name });
+  };
+  for (const cat of fullNav.categories) {
+    if (category && !cat.name.toLowerCase().includes(category.toLowerCase())) continue;
+    for (const comp of cat.components) {
+      const dir = [cat.name, ...comp.name.split("/")].map(slugify).join("/");
+      if (comp.docs) addTarget(comp.docs, dir, cat, comp);
+      if (includeStories) comp.stories.forEach(story => addTarget(story, dir, cat, comp));
+    }
+  }
+
+  await mkdir(outDir, { recursive: true });
+  const manifestEntries = [];
+  const failures = [];
+  let completed = 0;
+
+  await Promise.all(targets.map(async ({ entry, dir, file, category: categoryName, component }) => {
+    const indexEntry = indexEntries[entry.id] || {};
+    try {
+      const isDocs = entry.type === "docs";
+      const content = isDocs ? await client.getPageContent(entry.id, "markdown") : await client.getStoryContent(entry.id);
+
+      const meta = {
+        id: entry.id,
+        title: entry.title,
+        name: entry.name,
+        type: entry.type,
+        tags: indexEntry.tags || [],
+        importPath: content.importPath || indexEntry.importPath || null,
+        componentPath: content.componentPath || indexEntry.componentPath || null,
+      };
+      const body = isDocs ? formatPageMarkdown(content, entry.id) : formatStoryMarkdown(content, entry.id);
+      await mkdir(join(outDir, dir), { recursive: true });
+      await writeFile(join(outDir, file), frontMatter(meta) + body);
+      manifestEntries.push({ ...meta, category: categoryName, component, file, summary: firstParagraph(content.rawMarkdown) });
+    } catch (error) {
+      failures.push({ id: entry.id, error: error.message || String(error) });
+    } finally {
+      completed++;
+      onProgress?.(completed, targets.length, entry.id);
+    }
+  }));
+
+  manifestEntries.sort((a, b) => a.file.localeCompare(b.file));
+  failures.sort((a, b) => a.id.localeCompare(b.id));
+  const manifest = {
+    baseUrl: client.sourceUrl,
+    exportedAt: new Date().toISOString(),
+    totals: { entries: targets.length, exported: manifestEntries.length, failed: failures.length },
+    entries: manifestEntries,
+    failures,
+  };
+  await writeFile(join(outDir, "manifest.json"), JSON.stringify(manifest, null, 2));
+
+  if (llmsTxt) {
+    // Components with a docs page are listed once; undocumented ones list their stories.
+    const documented = new Set(manifestEntries.filter(e => e.type === "docs").map(e => `${e.category}/${e.component}`));
+    let text = `# ${client.sourceUrl}\n\n> Storybook documentation export: ${manifestEntries.length} pages.\n\n`;
+    for (const categoryName of [...new Set(manifestEntries.map(e => e.category))]) {
+      text += `## ${categoryName}\n\n`;
+      manifestEntries.filter(e => e.category === categoryName && (e.type === "docs" || !documented.has(`${e.category}/${e.component}`)))
+        .forEach(e => { text += `- [${e.type === "docs" ? e.component : `${e.component}: ${e.name}`}](${e.file})${e.summary ? `: ${e.summary}` : ""}\n`; });
+      text += "\n";
+    }
+    await writeFile(join(outDir, "llms.txt"), text);
+  }
+  return manifest;
+}
+
+// ============================================================================
+// MCP Server
+// ============================================================================
+
+const DEFAULT_ALIAS = "default";
+
+function isValidStorybookUrl(url) {
+  if (!url || typeof url !== "string") return false;
+  const trimmed = url.trim();
+  try {
+    const u = new URL(trimmed);
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+function invalidLocationError(location) {
+  const trimmed = String(location || "").trim();
+  if (looksLikeLocalPath(trimmed)) return new StorybookError("invalid_input", `Storybook build directory not found: ${trimmed}`);
+  const suggestions = /^[\w.-]+(:\d+)?(\/|$)/.test(trimmed) ? [`http://${trimmed}`] : [];
+  return new StorybookError("invalid_input", "Invalid URL. Use an http(s) Storybook URL, a file:// URL or a path to a storybook-static directory (starting with /, ./ or ~).", { suggestions });
+}
+
+// http(s) URL, file:// URL or path to a static build directory.
+function isValidStorybookLocation(location) {
+  if (isValidStorybookUrl(location)) return true;
+  try {
+    return localStorybookDir(location) !== null;
+  } catch {
+    return false;
+  }
+}
+
+function isValidAlias(alias) {
+  return typeof alias === "string" && /^[a-zA-Z0-9_.-]+$/.test(alias);
+}
+
+/**
+ * Connection state of one MCP client: its named Storybook connections and which one is
+ * active. stdio has a single session; the HTTP transport creates one per MCP session.
+ * STORYBOOK_URL seeds the default connection and STORYBOOK_URLS adds named ones
+ * ("ds=https://...,product=https://..."). Either may name a static build directory, which
+ * is served on a local port while the connection is open. Remote (HTTP) sessions may not
+ * name anything on the server's filesystem themselves: local builds, storage state files
+ * and output directories are refused (see assertLocalAccess).
+ */
+class Session {
+  constructor(id = "stdio", { remote = false } = {}) {
+    this.id = id;
+    this.remote = remote;
+    this.connections = new Map();
+    this.activeAlias = null;
+
+    const defaultUrl = (process.env.STORYBOOK_URL || "").trim();
+    if (isValidStorybookLocation(defaultUrl)) this.connections.set(DEFAULT_ALIAS, { alias: DEFAULT_ALIAS, url: defaultUrl, auth: authFromEnv(), browser: null });
+    else if (defaultUrl) console.error(`Ignoring STORYBOOK_URL: ${invalidLocationError(defaultUrl).message}`);
+    for (const pair of (process.env.STORYBOOK_URLS || "").split(",")) {
+      const separator = pair.indexOf("=");
+      if (separator === -1) continue;
+      const alias = pair.slice(0, separator).trim();
+      const url = pair.slice(separator + 1).trim();
+      if (isValidAlias(alias) && isValidStorybookLocation(url)) this.connections.set(alias, { alias, url, auth: null, browser: null });
+    }
+    this.activeAlias = this.connections.has(DEFAULT_ALIAS) ? DEFAULT_ALIAS : this.connections.keys().next().value || null;
+  }
+
+  assertLocalAccess(what) {
+    if (this.remote) throw new StorybookError("invalid_input", `${what} is not available over HTTP: it would read or write the server's filesystem.`);
+  }
+
+  resolveConnection(alias) {
+    const key = alias || this.activeAlias;
+    if (!key) throw new StorybookError("not_connected", "No Storybook URL configured. Use the connect tool first with a url.");
+    const connection = this.connections.get(key);
+    if (!connection) {
+      const known = Array.from(this.connections.keys());
+      throw new StorybookError("invalid_input", `Unknown Storybook source "${key}".${known.length ? ` Connected sources: ${known.join(", ")}` : " Use the connect tool first."}`);
+    }
+    return connection;
+  }
+
+  async getStorybookBrowser(alias) {
+    const connection = this.resolveConnection(alias);
+    if (!connection.browser) {
+      await this.openConnection(connection);
+      // Resource lists show an opened connection's live index instead of its cached one.
+      this.onIndexChange?.(connection.alias, { changed: [], listChanged: true });
+    }
+    return connection.browser;
+  }
+
+  // Starts the connection's browser (and static server for a local build); on failure both are closed again.
+  async openConnection(connection) {
+    let baseUrl = connection.url;
+    const dir = isValidStorybookUrl(connection.url) ? null : localStorybookDir(connection.url);
+    if (dir) {
+      await assertStorybookBuild(dir);
+      connection.staticServer ??= await startStaticServer(dir);
+      baseUrl = connection.staticServer.url;
+    }
+    const browser = new StorybookBrowser({
+      baseUrl, sourceUrl: dir ? pathToFileURL(dir).href : connection.url, auth: connection.auth, headless: true, timeout: 30000, poolSize: DEFAULT_POOL_SIZE,
+      onIndexChange: change => this.onIndexChange?.(connection.alias, change),
+    });
+    try {
+      await browser.initialize();
+      if (browser.authError) {
+        const { status, url, redirectedTo } = browser.authError;
+        throw new StorybookError("auth", redirectedTo
+          ? `Authentication required: ${url} redirected to ${redirectedTo}. Provide headers, basicAuth, cookies or a storageState file.`
+          : `Authentication failed (HTTP ${status}) for ${url}. Check headers, basicAuth, cookies or storageState (current: ${describeAuth(connection.auth)}).`);
+      }
+    } catch (error) {
+      await browser.close().catch(() => {});
+      if (connection.staticServer) {
+        await connection.staticServer.close();
+        connection.staticServer = null;
+      }
+      throw error;
+    }
+    connection.browser = browser;
+  }
+
+  async connect(url, alias = DEFAULT_ALIAS, auth = null) {
+    if (looksLikeLocalPath(String(url || "").trim())) this.assertLocalAccess("Connecting to a local Storybook build");
+    if (!isValidStorybookLocation(url)) throw invalidLocationError(url);
+    if (!isValidAlias(alias)) throw new StorybookError("invalid_input", "Invalid alias. Use letters, numbers, '.', '_' or '-'.");
+    if (auth?.storageState) this.assertLocalAccess("storageState");
+    if (auth?.storageState) await stat(auth.storageState).catch(() => { throw new StorybookError("invalid_input", `Storage state file not found: ${auth.storageState}`); });
+    // The new connection only replaces an existing one under the same alias once it works.
+    const connection = { alias, url: url.trim(), auth, browser: null };
+    await this.openConnection(connection);
+    const existing = this.connections.get(alias);
+    this.connections.set(alias, connection);
+    this.activeAlias = alias;
+    if (existing) await this.closeConnection(existing);
+    this.onIndexChange?.(alias, { changed: [], listChanged: true });
+  }
+
+  /**
+   * Alias for `source`: an existing alias, a connection already open on that URL, or a new
+   * connection to it (named after its host) that leaves the active connection unchanged.
+   * A new connection is opened right away and forgotten again if that fails.
+   */
+  async ensureConnection(source) {
+    if (this.connections.has(source)) return source;
+    const url = String(source || "").trim();
+    const existing = Array.from(this.connections.values()).find(c => c.url === url);
+    if (existing) return existing.alias;
+    if (looksLikeLocalPath(url)) this.assertLocalAccess("Comparing against a local Storybook build");
+    if (!isValidStorybookLocation(url)) throw new StorybookError("invalid_input", `Unknown Storybook source "${source}". Use a connection alias or a Storybook URL.`);
+    const stem = (isValidStorybookUrl(url) ? new URL(url).host : localStorybookDir(url).split(/[\\/]/).filter(Boolean).pop() || "static").replace(/[^a-zA-Z0-9_.-]+/g, "-");
+    let alias = stem;
+    for (let n = 2; this.connections.has(alias); n++) alias = `${stem}-${n}`;
+    const connection = { alias, url, auth: null, browser: null };
+    this.connections.set(alias, connection);
+    try {
+      await this.getStorybookBrowser(alias);
+    } catch (error) {
+      this.connections.delete(alias);
+      await this.closeConnection(connection);
+      throw error;
+    }
+    this.activeAlias ??= alias;
+    return alias;
+  }
+
+  async closeConnection(connection) {
+    if (connection.browser) { await connection.browser.close(); connection.browser = null; }
+    if (connection.staticServer) { await connection.staticServer.close(); connection.staticServer = null; }
+  }
+
+  async close() {
+    for (const connection of this.connections.values()) await this.closeConnection(connection);
+  }
+}
+
+function formatPropsTable(props) {
+  const cell = value => String(value ?? "").replace(/\|/g, "\\|").replace(/\n+/g, " ");
+  let table = "| Name | Type | Default | Required | Control | Description |\n|------|------|---------|----------|---------|-------------|\n";
+  props.forEach(p => {
+    table += `| \`${cell(p.name)}\` | ${cell(p.type)} | ${cell(p.defaultValue)} | ${p.required ? "yes" : ""} | ${cell(p.control)} | ${cell(p.description)} |\n`;
+  });
+  return table;
+}
+
+function formatStoryMarkdown(content, id) {
+  let response = `# ${content.title || id}\n\n`;
+  if (content.importPath) response += `**Story file:** \`${content.importPath}\`\n`;
+  if (content.componentPath) response += `**Component file:** \`${content.componentPath}\`\n`;
+  if (content.importPath || content.componentPath) response += "\n";
+  if (content.source) response += `## Usage\n\n\`\`\`${content.source.language}\n${content.source.code}\n\`\`\`\n\n`;
+  if (content.rawMarkdown) response += content.rawMarkdown + "\n\n";
+  if (content.props?.length > 0) response += "## Props\n\n" + formatPropsTable(content.props) + "\n";
+  if (content.codeBlocks?.length > 0) {
+    response += "## Code\n\n";
+    content.codeBlocks.forEach(b => { response += `\`\`\`${b.language}\n${b.code}\n\`\`\`\n\n`; });
+  }
+  return response;
+}
+
+function formatPageMarkdown(content, id) {
+  let response = `# ${content.title || id}\n\n`;
+  if (content.importPath) response += `**File:** \`${content.importPath}\`\n`;
+  const headed = (content.sections || []).filter(s => s.heading && s.level > 1);
+  if (headed.length > 1) response += `**Sections:** ${headed.map(s => `\`${s.id}\``).join(", ")}\n`;
+  if (content.importPath || headed.length > 1) response += "\n";
+  response += (content.rawMarkdown || "") + "\n\n";
+  if (content.props?.length > 0) response += "## Props\n\n" + formatPropsTable(content.props) + "\n";
+  if (content.codeBlocks?.length > 0) {
+    response += "## Code Examples\n\n";
+    content.codeBlocks.forEach(b => { response += `\`\`\`${b.language}\n${b.code}\n\`\`\`\n\n`; });
+  }
+  return response;
+}
+
+// One section of a docs page (with its subsections), as fetched by get_docs `section`.
+function formatSectionMarkdown(content, sections, id) {
+  let response = `# ${content.title || id} › ${sections[0].heading || "Introduction"}\n\n`;
+  if (content.importPath) response += `**File:** \`${content.importPath}\`\n`;
+  const stories = sections.flatMap(s => s.stories);
+  if (stories.length > 0) response += `**Stories:** ${stories.map(s => `\`${s}\``).join(", ")}\n`;
+  if (content.importPath || stories.length > 0) response += "\n";
+  return response + sections.map(s => s.markdown).join("\n\n") + "\n";
+}
+
+const BUILTIN_TAGS = new Set(["dev", "test", "autodocs", "stories-mdx", "docs-only", "story", "docs", "attached-mdx", "unattached-mdx", "play-fn", "manifest"]);
+
+function formatProjectMetadata(meta) {
+  let response = `# Storybook Metadata\n\n**URL:** ${meta.url}\n**Version:** ${meta.version}\n`;
+  if (meta.framework) response += `**Framework:** ${meta.framework}\n`;
+  if (meta.renderer) response += `**Renderer:** ${meta.renderer}\n`;
+  if (meta.builder) response += `**Builder:** ${meta.builder}\n`;
+  if (meta.language) response += `**Language:** ${meta.language}\n`;
+  response += `**Entries:** ${meta.totalEntries}\n\n`;
+  if (meta.addons.length > 0) {
+    response += `## Addons (${meta.addons.length})\n\n`;
+    meta.addons.forEach(a => { response += `- ${a.name}${a.version ? ` ${a.version}` : ""}\n`; });
+    response += "\n";
+  }
+  if (meta.refs.length > 0) {
+    response += `## Composed Storybooks (${meta.refs.length})\n\n`;
+    meta.refs.forEach(ref => { response += `- **${ref.title}**: ${ref.url} — IDs prefixed \`${ref.id}_\`\n`; });
+    response += "\n";
+  }
+  if (meta.globals.length > 0) {
+    const cell = value => (value == null ? "" : typeof value === "string" ? value : JSON.stringify(value)).replace(/\|/g, "\\|");
+    response += "## Globals\n\n| Name | Current | Default | Options | Description |\n|------|---------|---------|---------|-------------|\n";
+    meta.globals.forEach(g => {
+      response += `| \`${g.name}\` | ${cell(g.value)} | ${cell(g.defaultValue)} | ${g.options.map(cell).join(", ")} | ${cell(g.description)} |\n`;
+    });
+    response += "\n";
+  }
+  if (meta.tags.length > 0) {
+    response += "## Tags\n\n";
+    meta.tags.forEach(({ tag, count, ids }) => {
+      response += `- **${tag}**: ${count}\n`;
+      if (!BUILTIN_TAGS.has(tag)) {
+        ids.slice(0, 20).forEach(id => { response += `  - \`${id}\`\n`; });
+        if (ids.length > 20) response += `  - … ${ids.length - 20} more (use list with tags: ["${tag}"])\n`;
+      }
+    });
+  }
+  return response;
+}
+
+function formatEntryMetadata(meta) {
+  let response = `# ${meta.title}${meta.name ? ` / ${meta.name}` : ""}\n\n**ID:** \`${meta.id}\`\n**Type:** ${meta.type}\n`;
+  response += `**Tags:** ${meta.tags.length ? meta.tags.join(", ") : "none"}\n`;
+  if (meta.importPath) response += `**Story file:** \`${meta.importPath}\`\n`;
+  if (meta.componentPath) response += `**Component file:** \`${meta.componentPath}\`\n`;
+  if (meta.storiesImports.length) response += `**Imports stories from:** ${meta.storiesImports.map(p => `\`${p}\``).join(", ")}\n`;
+  response += "\n";
+  if (meta.args && Object.keys(meta.args).length) response += `## Args\n\n\`\`\`json\n${JSON.stringify(meta.args, null, 2)}\n\`\`\`\n\n`;
+  if (meta.parameters && Object.keys(meta.parameters).length) response += `## Parameters\n\n\`\`\`json\n${JSON.stringify(meta.parameters, null, 2)}\n\`\`\`\n\n`;
+  if (meta.globals && Object.keys(meta.globals).length) response += `## Globals\n\n\`\`\`json\n${JSON.stringify(meta.globals, null, 2)}\n\`\`\`\n`;
+  return response;
+}
+
+/**
+ * Step-by-step health check: Playwright and launching Chromium, reachability of the Storybook,
+ * connecting, index.json and rendering one story. Later steps are skipped once one fails
+ * in a way that makes them meaningless.
+ */
+async function diagnose(session, source) {
+  const checks = [];
+  const check = async (name, run) => {
+    const started = Date.now();
+    try {
+      const { status = "ok", detail = "" } = (await run()) || {};
+      checks.push({ name, status, detail, ms: Date.now() - started });
+      return status !== "fail";
+    } catch (error) {
+      const e = toStorybookError(error);
+      checks.push({ name, status: "fail", detail: `[${e.category}] ${e.message}`, ms: Date.now() - started });
+      return false;
+    }
+  };
+
+  await check("Playwright", async () => ({ detail: `playwright ${require("playwright/package.json").version}` }));
+  if (!await check("Browser launch", async () => ({ detail: `Chromium ${(await getSharedBrowser(true)).version()}` }))) return checks;
+
+  let connection;
+  if (!await check("Connection", async () => {
+    connection = session.resolveConnection(source);
+    return { detail: `${connection.alias}: ${connection.url}${connection.auth ? ` (auth: ${describeAuth(connection.auth)})` : ""}` };
+  })) return checks;
+
+  if (!await check("Reachable", async () => {
+    if (!isValidStorybookUrl(connection.url)) {
+      await assertStorybookBuild(localStorybookDir(connection.url));
+      return { detail: "Static build directory with index.html" };
+    }
+    const probe = new StorybookBrowser({ baseUrl: connection.url, auth: connection.auth });
+    const response = await probe.fetchWithAuth(connection.url);
+    if (response.status === 401 || response.status === 403) return { status: "fail", detail: `HTTP ${response.status}: authentication required` };
+    return { status: response.ok ? "ok" : "fail", detail: `HTTP ${response.status}` };
+  })) return checks;
+
+  let client;
+  if (!await check("Storybook", async () => {
+    client = await session.getStorybookBrowser(connection.alias);
+    const info = await client.detectStorybookVersion();
+    return { detail: `Version ${info.version}${info.usesStoryPath ? ", /story/ paths" : ""}` };
+  })) return checks;
+
+  let storyId = null;
+  await check("index.json", async () => {
+    const data = await client.fetchIndexJson();
+    if (!data) return { status: "warn", detail: "Not available; navigation falls back to scraping the sidebar (Storybook 6.3 or older?)" };
+    const entries = data.entries || data.stories || {};
+    storyId = Object.keys(entries).find(id => entries[id].type !== "docs") || null;
+    return { detail: `v${data.v}, ${Object.keys(entries).length} entries` };
+  });
+
+  if (!storyId) storyId = (await client.discoverNavigation().catch(() => ({ flatList: [] }))).flatList.find(item => item.type === "story")?.storybookPath;
+  if (!storyId) {
+    checks.push({ name: "Rendering", status: "warn", detail: "No story to render", ms: 0 });
+    return checks;
+  }
+  await check("Rendering", async () => {
+    const result = await client.renderStory(storyId, { fullPage: false });
+    if (!result.html.trim()) return { status: "warn", detail: `${storyId} rendered an empty root` };
+    if (result.consoleErrors.length) return { status: "warn", detail: `${storyId} rendered with ${result.consoleErrors.length} console errors: ${result.consoleErrors[0].split("\n")[0]}` };
+    return { detail: `${storyId} rendered` };
+  });
+  return checks;
+}
+
+function formatDiagnosis(checks) {
+  const failed = checks.filter(c => c.status === "fail").length;
+  const warned = checks.filter(c => c.status === "warn").length;
+  let report = `# Diagnosis\n\n${failed ? `${failed} check(s) failed` : warned ? `All checks passed, ${warned} warning(s)` : "All checks passed"}\n\n`;
+  report += "| Check | Status | Time | Details |\n|-------|--------|------|---------|\n";
+  checks.forEach(c => { report += `| ${c.name} | ${c.status} | ${c.ms} ms | ${String(c.detail).replace(/\|/g, "\\|").replace(/\n+/g, " ")} |\n`; });
+  return report;
+}
+
+const IMPACT_ORDER = ["critical", "serious", "moderate", "minor"];
+
+function formatA11yReport(audits) {
+  let report = "";
+  for (const audit of audits) {
+    report += `## ${audit.storyId}\n\n`;
+    if (audit.error) { report += `Audit failed: ${audit.error}\n\n`; continue; }
+    if (audit.violations.length === 0) { report += `No violations (${audit.passes} rules passed).\n\n`; continue; }
+    for (const impact of IMPACT_ORDER) {
+      const violations = audit.violations.filter(v => v.impact === impact);
+      if (violations.length === 0) continue;
+      report += `### ${impact} (${violations.length})\n\n`;
+      violations.forEach(v => {
+        report += `- **${v.id}**: ${v.help} ([docs](${v.helpUrl}))\n`;
+        v.nodes.forEach(n => { report += `  - \`${n.target}\`: ${n.failureSummary.replace(/\n+/g, " ")}\n`; });
+      });
+      report += "\n";
+    }
+  }
+  return report;
+}
+
+function formatInspection(result, id) {
+  const lines = [];
+  const outline = (node, indent) => {
+    const classes = node.classes.map(c => `.${c}`).join("");
+    const attributes = Object.entries(node.attributes).map(([name, value]) => (value === "" ? name : `${name}="${value}"`)).join(" ");
+    let line = `${"  ".repeat(indent)}- ${node.tag}${node.id ? `#${node.id}` : ""}${classes}`;
+    if (attributes) line += ` [${attributes}]`;
+    if (node.text) line += ` "${node.text}"`;
+    line += ` (${node.box.width}×${node.box.height} at ${node.box.x},${node.box.y})`;
+    if (node.omittedChildren) line += ` +${node.omittedChildren} children`;
+    lines.push(line);
+    node.children.forEach(child => outline(child, indent + 1));
+  };
+  result.dom.forEach(node => outline(node, 0));
+
+  let response = `# Inspect: ${id}\n\n**URL:** ${result.url}\n\n`;
+  if (result.ariaSnapshot) response += `## Accessibility Tree\n\n\`\`\`yaml\n${result.ariaSnapshot}\n\`\`\`\n\n`;
+  response += `## DOM${result.truncated ? " (truncated, raise depth or maxNodes for more)" : ""}\n\n${lines.join("\n") || "(empty)"}\n\n`;
+  response += `## Computed Styles: \`${result.selector}\`${result.matches > 1 ? ` (first of ${result.matches})` : ""}\n\n`;
+  response += "| Property | Value |\n|----------|-------|\n";
+  Object.entries(result.styles).forEach(([property, value]) => { response += `| ${property} | \`${value.replace(/\|/g, "\\|")}\` |\n`; });
+  const variables = Object.entries(result.cssVariables);
+  response += `\n## CSS Variables (${variables.length})\n\n`;
+  response += variables.length > 0 ? variables.map(([name, value]) => `- \`${name}\`: \`${value}\``).join("\n") + "\n" : "None in effect.\n";
+  if (result.consoleErrors.length > 0) response += `\n## Console Errors (${result.consoleErrors.length})\n\n${result.consoleErrors.map(e => `- ${e}`).join("\n")}\n`;
+  return response;
+}
+
+const SOURCE_PROPERTY = { type: "string", description: "Connection alias to use (default: the active connection)" };
+
+const RENDER_PROPERTIES = {
+  args: { type: "object", description: "Story args to override, e.g. { \"variant\": \"danger\", \"disabled\": true }" },
+  globals: { type: "object", description: "Storybook globals, e.g. { \"theme\": \"dark\", \"locale\": \"fr\" }" },
+  viewport: {
+    type: ["string", "object"],
+    description: `Viewport preset (${Object.keys(VIEWPORT_PRESETS).join(", ")}), a Playwright device name (e.g. 'iPhone 13'), or { width, height }`
+  }
+};
+
+const SCREENSHOT_PROPERTIES = {
+  crop: { type: "string", description: "'full' (whole page, default), 'viewport', 'root' (just the story or docs root) or a CSS selector" },
+  scale: { type: "number", description: "Device scale factor, e.g. 2 for retina (0.5-4)" },
+  format: { type: "string", enum: ["png", "jpeg", "webp"], description: "Image format (default: png)" },
+  quality: { type: "number", description: "JPEG/WebP quality 1-100 (default: 80)" }
+};
+
+const TOOLS = [
+  {
+    name: "connect",
+    description: "Connect to a Storybook URL and return connection status. Required before other tools.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        url: { type: "string", description: "Storybook URL, file:// URL or path to a storybook-static build directory (optional if already connected, will return current status)" },
+        alias: { type: "string", description: "Name for this connection, used as `source` by other tools (default: 'default'). Without url, switches the active connection." },
+        headers: { type: "object", description: "Extra HTTP headers for every request, e.g. { \"x-vercel-protection-bypass\": \"...\" }" },
+        basicAuth: {
+          type: ["string", "object"],
+          description: "HTTP basic auth as \"user:pass\" or { username, password }",
+          properties: { username: { type: "string" }, password: { type: "string" } }
+        },
+        cookies: {
+          type: ["string", "array"],
+          description: "Cookies as \"name=value; other=value\" or Playwright cookie objects ({ name, value, domain?, path? })",
+          items: { type: "object" }
+        },
+        storageState: { type: "string", description: "Path to a Playwright storageState JSON file (e.g. saved after an SSO login)" }
+      }
+    }
+  },
+  {
+    name: "connections",
+    description: "List the active Storybook connections and their detected versions.",
+    inputSchema: { type: "object", properties: {} }
+  },
+  {
+    name: "list",
+    description: "List components and stories in the Storybook navigation.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        category: { type: "string", description: "Filter by category (top-level title segment; composed refs are categories of their own)" },
+        tags: { type: "array", items: { type: "string" }, description: "Only list entries with all of these tags; prefix with '!' to exclude (e.g. ['experimental'], ['!deprecated'])" },
+        full: { type: "boolean", description: "Include full hierarchy with all stories (default: false for flat list)" },
+        source: SOURCE_PROPERTY
+      }
+    }
+  },
+  {
+    name: "get_metadata",
+    description: "Structured Storybook metadata. Without path: version, framework, renderer, builder and addons (from project.json), global toolbar options and entry counts per tag. With path: the entry's tags, story and component file paths, args and parameters.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Story or docs ID (optional)" },
+        format: { type: "string", enum: ["markdown", "structured"], description: "Output format (default: markdown)" },
+        source: SOURCE_PROPERTY
+      }
+    }
+  },
+  {
+    name: "get_tokens",
+    description: "Extract design tokens from docs pages that use ColorPalette, Typeset and IconGallery blocks. Returns tokens (name, value, type, group, usage) as JSON, CSS custom properties or a Tailwind theme fragment.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Docs page ID to read (default: scan every docs page)" },
+        category: { type: "string", description: "Only scan docs pages whose title contains this" },
+        type: { type: "string", enum: ["color", "typography", "icon"], description: "Only return tokens of this kind" },
+        format: { type: "string", enum: ["json", "css", "tailwind"], description: "Output format (default: json)" },
+        source: SOURCE_PROPERTY
+      }
+    }
+  },
   {
-    name: "connect",
-    description: "Connect to a Storybook URL and return connection status. Required before other tools.",
+    name: "compare",
+    description: "Changelog between two Storybooks (e.g. last release vs. a PR preview): added, removed, moved and renamed components and stories, prop changes (type, default, required) and optionally visual changes of matching stories.",
     inputSchema: {
       type: "object",
       properties: {
-        url: { type: "string", description: "Storybook URL (optional if already connected, will return current status)" }
-      }
+        base: { type: "string", description: "Alias or URL of the older Storybook" },
+        head: { type: "string", description: "Alias or URL of the newer Storybook" },
+        component: { type: "string", description: "Only compare components whose title contains this" },
+        props: { type: "boolean", description: "Compare props of components present in both (default: true)" },
+        visual: { type: "boolean", description: "Screenshot matching stories on both sides and pixel-diff them (default: false)" },
+        limit: { type: "number", description: "Maximum number of stories to compare visually (default: 20)" },
+        threshold: { type: "number", description: "Per-pixel color threshold 0-1 for visual diffs (default: 0.1)" },
+        failureThreshold: { type: "number", description: "Ratio of differing pixels tolerated before a story counts as changed (default: 0)" }
+      },
+      required: ["base", "head"]
     }
   },
   {
-    name: "list",
-    description: "List components and stories in the Storybook navigation.",
+    name: "find_stories_for",
+    description: "Find the stories and docs for a component given its name, import specifier (e.g. '@acme/ui/Button') or source file (e.g. 'src/components/Button/Button.tsx'). Uses index.json componentPath/importPath and the title hierarchy; returns ranked candidates. Use it after editing a component file to pull its docs or screenshots.",
     inputSchema: {
       type: "object",
       properties: {
-        category: { type: "string", description: "Filter by category name" },
-        full: { type: "boolean", description: "Include full hierarchy with all stories (default: false for flat list)" }
-      }
+        query: { type: "string", description: "Component name, import specifier or file path" },
+        limit: { type: "number", description: "Maximum number of candidates (default: 5)" },
+        source: SOURCE_PROPERTY
+      },
+      required: ["query"]
+    }
+  },
+  {
+    name: "validate_usage",
+    description: "Check a JSX/HTML snippet against the Storybook's documented components: flags unknown components, unknown or misspelled props, invalid enum values and missing required props, with suggestions. Run it on generated UI code before returning it.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        code: { type: "string", description: "JSX or HTML snippet" },
+        source: SOURCE_PROPERTY
+      },
+      required: ["code"]
     }
   },
   {
     name: "search",
-    description: "Search for components by name or path.",
+    description: "Full-text search across component names, stories, tags and docs content, ranked by relevance.",
     inputSchema: {
       type: "object",
       properties: {
-        query: { type: "string", description: "Search query" }
+        query: { type: "string", description: "Search query; matched against names, titles, tags and extracted docs text with typo tolerance" },
+        type: { type: "string", enum: ["docs", "story"], description: "Only return docs pages or stories" },
+        category: { type: "string", description: "Filter by top-level category" },
+        tags: { type: "array", items: { type: "string" }, description: "Only return entries that have all of these tags; prefix with '!' to exclude" },
+        limit: { type: "number", description: "Maximum number of results (default: 20)" },
+        deep: { type: "boolean", description: "Extract and index every docs page that is not cached yet before searching (slow the first time, cached afterwards)" },
+        source: SOURCE_PROPERTY
       },
       required: ["query"]
     }
   },
   {
     name: "get_docs",
-    description: "Get documentation, code examples, and content for a component or story.",
+    description: "Get documentation, props (argTypes), code examples, and content for a component or story.",
     inputSchema: {
       type: "object",
       properties: {
         path: { type: "string", description: "Component path or story ID (e.g., 'components-button' or 'components-button--basic')" },
         full: { type: "boolean", description: "Include all story variations (default: false)" },
-        format: { type: "string", enum: ["structured", "markdown"], description: "Output format (default: markdown)" }
+        format: { type: "string", enum: ["structured", "markdown"], description: "Output format (default: markdown)" },
+        section: { type: "string", description: "Docs pages only: return just this section and its subsections, by section id or heading (ids are listed under Sections)" },
+        source: SOURCE_PROPERTY
       },
       required: ["path"]
     }
@@ -505,79 +3864,310 @@ const TOOLS = [
     inputSchema: {
       type: "object",
       properties: {
-        path: { type: "string", description: "Component path or story ID" }
+        path: { type: "string", description: "Component path or story ID" },
+        args: RENDER_PROPERTIES.args,
+        globals: RENDER_PROPERTIES.globals,
+        viewport: RENDER_PROPERTIES.viewport,
+        ...SCREENSHOT_PROPERTIES,
+        matrix: {
+          type: "object",
+          description: `Capture every combination of viewports and globals (up to ${MAX_MATRIX_CELLS}), e.g. { "viewports": ["mobile", "desktop"], "globals": [{ "theme": "light" }, { "theme": "dark" }] }. Crops to the story root unless crop is set.`,
+          properties: {
+            viewports: { type: "array", items: { type: ["string", "object"] } },
+            globals: { type: "array", items: { type: "object" } },
+            layout: { type: "string", enum: ["sheet", "separate"], description: "'sheet': one labelled contact sheet (default); 'separate': one image per cell" }
+          }
+        },
+        source: SOURCE_PROPERTY
+      },
+      required: ["path"]
+    }
+  },
+  {
+    name: "render_story",
+    description: "Render a story with custom args, globals (theme, locale) and viewport. Returns a screenshot, the rendered HTML and console errors.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Story ID (e.g., 'components-button--primary')" },
+        ...RENDER_PROPERTIES,
+        ...SCREENSHOT_PROPERTIES,
+        source: SOURCE_PROPERTY
+      },
+      required: ["path"]
+    }
+  },
+  {
+    name: "visual_snapshot",
+    description: "Visual regression: save screenshot baselines for stories, then re-capture and pixel-diff them to find changed stories.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: { type: "string", enum: ["baseline", "compare", "list"], description: "baseline: save screenshots; compare: diff against saved baselines; list: show saved baselines" },
+        paths: { type: "array", items: { type: "string" }, description: "Story IDs to snapshot or compare" },
+        component: { type: "string", description: "Use every story of this component instead of listing paths" },
+        dir: { type: "string", description: `Snapshot directory (default: ${DEFAULT_SNAPSHOT_DIR})` },
+        viewport: RENDER_PROPERTIES.viewport,
+        threshold: { type: "number", description: "Per-pixel color distance threshold, 0-1 (default: 0.1)" },
+        includeAA: { type: "boolean", description: "Count anti-aliased pixels as differences (default: false, anti-aliasing is tolerated)" },
+        failureThreshold: { type: "number", description: "Ratio of changed pixels, 0-1, tolerated before a story counts as changed (default: 0)" },
+        source: SOURCE_PROPERTY
+      },
+      required: ["action"]
+    }
+  },
+  {
+    name: "a11y_audit",
+    description: "Run an axe-core accessibility audit on a story or docs page, or on every story of a component or category. Returns violations grouped by impact.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Story or docs ID to audit" },
+        component: { type: "string", description: "Audit every story of this component" },
+        category: { type: "string", description: "Audit every story in this category" },
+        tags: { type: "array", items: { type: "string" }, description: "axe rule tags to run, e.g. ['wcag2a', 'wcag2aa'] (default: all rules)" },
+        limit: { type: "number", description: "Maximum number of stories to audit in component/category mode (default: 50)" },
+        source: SOURCE_PROPERTY
+      }
+    }
+  },
+  {
+    name: "inspect_story",
+    description: "Inspect what a story renders: its accessibility tree, a pruned DOM tree with boxes, and the computed styles (colors, fonts, spacing, sizes) and CSS custom properties in effect for an element. Use it to match a component's look precisely or to debug layout.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Story ID (e.g., 'components-button--primary')" },
+        selector: { type: "string", description: "CSS selector of the element whose styles to report (default: the story root's first element)" },
+        variables: { type: "string", description: "Only report CSS custom properties whose name contains this, e.g. 'color'" },
+        depth: { type: "number", description: "DOM and accessibility tree depth (default: 8)" },
+        maxNodes: { type: "number", description: "Maximum DOM nodes to report (default: 250)" },
+        ...RENDER_PROPERTIES,
+        format: { type: "string", enum: ["markdown", "structured"], description: "Output format (default: markdown)" },
+        source: SOURCE_PROPERTY
       },
       required: ["path"]
     }
+  },
+  {
+    name: "run_interactions",
+    description: "Run a story's play function and report pass/fail with the failing step, assertion message and a step-by-step interaction log. Accepts a single story or every story of a component.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Story ID to run" },
+        component: { type: "string", description: "Run every story of this component" },
+        timeout: { type: "number", description: "Milliseconds to wait for each play function to finish (default: 15000)" },
+        source: SOURCE_PROPERTY
+      }
+    }
+  },
+  {
+    name: "export",
+    description: "Export the whole Storybook to a directory of Markdown files with front-matter, a manifest.json and an optional llms.txt summary.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        outDir: { type: "string", description: "Directory to write the bundle to" },
+        category: { type: "string", description: "Only export this category" },
+        includeStories: { type: "boolean", description: "Export individual stories as well as docs pages (default: true)" },
+        llmsTxt: { type: "boolean", description: "Write an llms.txt summary (default: true)" },
+        source: SOURCE_PROPERTY
+      },
+      required: ["outDir"]
+    }
+  },
+  {
+    name: "diagnose",
+    description: "Check why the Storybook cannot be read: Playwright/Chromium install, browser launch, reachability and auth, index.json, and rendering a story.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        source: SOURCE_PROPERTY
+      }
+    }
+  },
+  {
+    name: "cache",
+    description: "Inspect or clear the on-disk cache of index.json and extracted docs.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: { type: "string", enum: ["info", "clear"], description: "info: list cached Storybooks (default); clear: delete cached data" },
+        all: { type: "boolean", description: "With clear: delete the cache of every Storybook, not just the selected connection (not available over HTTP)" },
+        source: SOURCE_PROPERTY
+      }
+    }
   }
 ];
 
-async function handleToolCall(name, args) {
+async function handleToolCall(name, args, session, extra) {
   switch (name) {
     case "connect": {
+      if (args.alias && !args.url) {
+        if (!session.connections.has(args.alias)) throw new StorybookError("invalid_input", `Unknown connection "${args.alias}". Provide a url to create it.`);
+        session.activeAlias = args.alias;
+      }
       if (args.url) {
+        let auth;
         try {
-          await reconnectStorybookBrowser(args.url);
+          auth = normalizeAuth({ headers: args.headers, basicAuth: args.basicAuth, cookies: args.cookies, storageState: args.storageState });
         } catch (error) {
-          return { content: [{ type: "text", text: `Failed to connect: ${error}` }] };
+          throw new StorybookError("invalid_input", error.message);
         }
+        await session.connect(args.url, args.alias || DEFAULT_ALIAS, auth);
       }
-      if (!currentStorybookUrl) {
+      if (!session.activeAlias) {
         return { content: [{ type: "text", text: "Not connected. Provide a URL to connect." }] };
       }
-      let info = `Connected to: ${currentStorybookUrl}\nReady: ${storybookBrowser !== null}`;
-      if (storybookBrowser) {
+      const connection = session.connections.get(session.activeAlias);
+      let info = `Connected to: ${connection.url}\nAlias: ${connection.alias}\nReady: ${connection.browser !== null}`;
+      if (connection.auth) info += `\nAuth: ${describeAuth(connection.auth)}`;
+      if (connection.browser) {
         try {
-          const versionInfo = await storybookBrowser.detectStorybookVersion();
-          info += `\n\nStorybook Info:\n- Version: ${versionInfo.version}\n- Has index.json: ${versionInfo.hasIndexJson}\n- Uses /story/ paths: ${versionInfo.usesStoryPath}`;
+          const versionInfo = await connection.browser.detectStorybookVersion();
+          info += `\n\nStorybook Info:\n- Version: ${versionInfo.exactVersion || versionInfo.version}\n- Has index.json: ${versionInfo.hasIndexJson}\n- Uses /story/ paths: ${versionInfo.usesStoryPath}`;
+          versionInfo.refs.forEach(ref => { info += `\n- Composed ref: ${ref.title} (\`${ref.id}_*\`, ${ref.url})`; });
         } catch {}
       }
-      if (args.url) info = `Connected to: ${args.url}\n\n` + info.split("\n\n").slice(1).join("\n\n");
+      if (session.connections.size > 1) info += `\n\nOther connections: ${Array.from(session.connections.keys()).filter(a => a !== session.activeAlias).join(", ")}`;
       return { content: [{ type: "text", text: info }] };
     }
 
+    case "connections": {
+      if (session.connections.size === 0) return { content: [{ type: "text", text: "No connections. Use the connect tool with a url." }] };
+      let response = `# Connections (${session.connections.size})\n\n`;
+      for (const connection of session.connections.values()) {
+        const version = connection.browser?.storybookInfo?.version;
+        response += `- **${connection.alias}**${connection.alias === session.activeAlias ? " (active)" : ""}: ${connection.url}`;
+        response += connection.browser ? ` — ready${version ? `, ${version}` : ""}\n` : " — not started\n";
+      }
+      return { content: [{ type: "text", text: response }] };
+    }
+
     case "list": {
-      const client = await getStorybookBrowser();
+      const client = await session.getStorybookBrowser(args.source);
+      // Built-in tags are on nearly every entry; only custom ones are worth repeating per line.
+      const tagSuffix = tags => {
+        const shown = (tags || []).filter(t => !BUILTIN_TAGS.has(t));
+        return shown.length ? ` [${shown.join(", ")}]` : "";
+      };
       if (args.full) {
         const fullNav = await client.getFullNavigation();
-        let response = `# Navigation\n\n**URL:** ${currentStorybookUrl}\n**Total:** ${fullNav.totalDocs} docs + ${fullNav.totalStories} stories\n\n`;
+        let response = `# Navigation\n\n**URL:** ${client.sourceUrl}\n**Total:** ${fullNav.totalDocs} docs + ${fullNav.totalStories} stories\n\n`;
         for (const cat of fullNav.categories) {
           if (args.category && !cat.name.toLowerCase().includes(args.category.toLowerCase())) continue;
           response += `## ${cat.name}\n\n`;
           for (const comp of cat.components) {
+            const docs = comp.docs && matchesTags(comp.docs.tags, args.tags) ? comp.docs : null;
+            const stories = comp.stories.filter(s => matchesTags(s.tags, args.tags));
+            if (!docs && stories.length === 0) continue;
             response += `### ${comp.name}\n`;
-            if (comp.docs) response += `- **Docs**: \`${comp.docs.id}\`\n`;
-            comp.stories.forEach(s => { response += `- ${s.name}: \`${s.id}\`\n`; });
+            if (docs) response += `- **Docs**: \`${docs.id}\`${tagSuffix(docs.tags)}\n`;
+            stories.forEach(s => { response += `- ${s.name}: \`${s.id}\`${tagSuffix(s.tags)}\n`; });
             response += "\n";
           }
         }
         return { content: [{ type: "text", text: response }] };
       }
-      const nav = await client.discoverNavigation();
-      let items = nav.flatList;
-      if (args.category) items = items.filter(i => i.storybookPath?.toLowerCase().includes(args.category.toLowerCase()));
-      let response = `# Storybook Navigation\n\n**URL:** ${currentStorybookUrl}\n**Total:** ${items.length}\n\n`;
-      items.forEach(item => { response += `- ${item.name}: \`${item.storybookPath}\`\n`; });
+      const nav = await client.getNavigation();
+      const entries = await client.getIndexEntries();
+      let items = nav.flatList.map(item => ({ ...item, tags: entries[item.storybookPath]?.tags || [] }));
+      if (args.category) items = items.filter(i => (i.category || "").toLowerCase().includes(args.category.toLowerCase()));
+      if (args.tags?.length) items = items.filter(i => matchesTags(i.tags, args.tags));
+      let response = `# Storybook Navigation\n\n**URL:** ${client.sourceUrl}\n**Total:** ${items.length}\n\n`;
+      items.forEach(item => { response += `- ${item.name}: \`${item.storybookPath}\`${tagSuffix(item.tags)}\n`; });
+      return { content: [{ type: "text", text: response }] };
+    }
+
+    case "get_metadata": {
+      const client = await session.getStorybookBrowser(args.source);
+      const meta = args.path ? await client.getEntryMetadata(args.path.replace(/^\/(story|docs)\//, "")) : await client.getProjectMetadata();
+      if (!meta) throw await client.notFoundError(args.path);
+      if (args.format === "structured") return { content: [{ type: "text", text: JSON.stringify(meta, null, 2) }] };
+      return { content: [{ type: "text", text: args.path ? formatEntryMetadata(meta) : formatProjectMetadata(meta) }] };
+    }
+
+    case "get_tokens": {
+      const client = await session.getStorybookBrowser(args.source);
+      const result = await client.getTokens({ path: args.path, category: args.category });
+      const kinds = { color: ["color"], typography: ["font-family", "font-size", "font-weight"], icon: ["icon"] }[args.type];
+      const tokens = kinds ? result.tokens.filter(t => kinds.includes(t.type)) : result.tokens;
+      if (tokens.length === 0) {
+        // Pages that failed to load may well be the ones holding the tokens, so they are not "nothing found".
+        const failed = result.failures.map(f => `- \`${f.id}\`: ${f.error}`).join("\n");
+        if (result.failures.length > 0 && result.failures.length === result.scanned) {
+          throw new StorybookError("internal", `Could not read any of the ${result.scanned} docs pages scanned for tokens:\n${failed}`);
+        }
+        const read = result.scanned - result.failures.length;
+        return { content: [{ type: "text", text: `No ${args.type ? `${args.type} ` : ""}tokens found: none of the ${read} docs pages read use ColorPalette, Typeset or IconGallery.`
+          + (failed ? `\n\nFailed to read ${result.failures.length} page(s), which may hold tokens:\n${failed}` : "") }] };
+      }
+      const pagesNote = `Found ${tokens.length} tokens on ${result.pages.length} of ${result.scanned} docs pages: ${result.pages.join(", ")}`
+        + (result.failures.length ? `\nFailed to read: ${result.failures.map(f => f.id).join(", ")}` : "");
+      if (args.format === "css") return { content: [{ type: "text", text: `${pagesNote}\n\n\`\`\`css\n${tokensToCss(tokens)}\`\`\`` }] };
+      if (args.format === "tailwind") return { content: [{ type: "text", text: `${pagesNote}\n\n\`\`\`js\n${tokensToTailwind(tokens)}\`\`\`` }] };
+      return { content: [{ type: "text", text: JSON.stringify({ tokens, pages: result.pages, scanned: result.scanned, failures: result.failures }, null, 2) }] };
+    }
+
+    case "compare": {
+      const baseAlias = await session.ensureConnection(args.base);
+      const headAlias = await session.ensureConnection(args.head);
+      const [baseClient, headClient] = [await session.getStorybookBrowser(baseAlias), await session.getStorybookBrowser(headAlias)];
+      const result = await compareStorybooks(baseClient, headClient, {
+        component: args.component, props: args.props !== false, visual: args.visual === true,
+        limit: args.limit, threshold: args.threshold, failureThreshold: args.failureThreshold,
+      });
+      const report = formatComparison(result, `${baseClient.sourceUrl} (${baseAlias})`, `${headClient.sourceUrl} (${headAlias})`);
+      const images = (result.visualChanges || []).filter(v => v.status === "changed").slice(0, MAX_DIFF_IMAGES)
+        .map(v => ({ type: "image", data: v.diffImage.toString("base64"), mimeType: "image/png" }));
+      return { content: [{ type: "text", text: report }, ...images] };
+    }
+
+    case "find_stories_for": {
+      const client = await session.getStorybookBrowser(args.source);
+      const matches = await client.findStoriesFor(args.query, { limit: args.limit });
+      if (matches.length === 0) throw await client.notFoundError(args.query, "component");
+      let response = `# Stories for "${args.query}"\n\n`;
+      matches.forEach((match, i) => {
+        response += `## ${i + 1}. ${match.title} (score ${match.score})\n\n`;
+        response += `Matched by: ${match.reasons.join("; ")}\n`;
+        if (match.componentPath) response += `**Component file:** \`${match.componentPath}\`\n`;
+        if (match.importPath) response += `**Story file:** \`${match.importPath}\`\n`;
+        if (match.docs) response += `**Docs:** \`${match.docs}\`\n`;
+        if (match.stories.length) response += `**Stories:** ${match.stories.map(s => `${s.name} (\`${s.id}\`)`).join(", ")}\n`;
+        response += "\n";
+      });
       return { content: [{ type: "text", text: response }] };
     }
 
+    case "validate_usage": {
+      const client = await session.getStorybookBrowser(args.source);
+      return { content: [{ type: "text", text: formatUsageReport(await validateUsage(client, args.code || "")) }] };
+    }
+
     case "search": {
-      const client = await getStorybookBrowser();
-      const results = await client.searchComponents(args.query);
+      const client = await session.getStorybookBrowser(args.source);
+      const results = await client.searchComponents(args.query, { type: args.type, category: args.category, tags: args.tags, limit: args.limit, deep: args.deep });
       if (results.length === 0) return { content: [{ type: "text", text: `No results for "${args.query}"` }] };
       let response = `# Search: "${args.query}"\n\nFound ${results.length}:\n\n`;
-      results.forEach(item => { response += `- **${item.name}** (${item.type}): \`${item.storybookPath}\`\n`; });
+      results.forEach(item => {
+        response += `- **${item.name}** (${item.type}${item.title ? `, ${item.title}` : ""}): \`${item.storybookPath}\``;
+        if (item.tags?.length) response += ` [${item.tags.join(", ")}]`;
+        response += "\n";
+        if (item.snippet) response += `  > ${item.snippet}\n`;
+      });
       return { content: [{ type: "text", text: response }] };
     }
 
     case "get_docs": {
-      const client = await getStorybookBrowser();
+      const client = await session.getStorybookBrowser(args.source);
       const path = args.path;
       const isStoryId = path.includes("--") && !path.endsWith("--docs");
       
       if (args.full) {
         const { component, category } = await client.getComponentEntries(path);
-        if (!component) return { content: [{ type: "text", text: `Could not find: ${path}` }] };
+        if (!component) throw await client.notFoundError(path, "component");
         let response = `# ${component.name}\n\n**Category:** ${category}\n\n`;
         if (component.docs) response += `**Docs:** \`${component.docs.id}\`\n\n`;
         if (component.stories.length > 0) {
@@ -589,57 +4179,644 @@ async function handleToolCall(name, args) {
       
       if (isStoryId) {
         const content = await client.getStoryContent(path);
-        if (!content) return { content: [{ type: "text", text: `Could not load: ${path}` }] };
-        let response = `# ${content.title || path}\n\n`;
-        if (content.rawMarkdown) response += content.rawMarkdown + "\n\n";
-        if (content.codeBlocks?.length > 0) {
-          response += "## Code\n\n";
-          content.codeBlocks.forEach(b => { response += `\`\`\`${b.language}\n${b.code}\n\`\`\`\n\n`; });
-        }
-        return { content: [{ type: "text", text: response }] };
+        return { content: [{ type: "text", text: formatStoryMarkdown(content, path) }] };
       }
       
       const format = args.format || "markdown";
       const content = await client.getPageContent(path, format);
-      if (!content) return { content: [{ type: "text", text: `Could not load: ${path}` }] };
-      if (format === "markdown" && content.rawMarkdown) {
-        let response = `# ${content.title || path}\n\n`;
-        response += content.rawMarkdown + "\n\n";
-        if (content.codeBlocks?.length > 0) {
-          response += "## Code Examples\n\n";
-          content.codeBlocks.forEach(b => { response += `\`\`\`${b.language}\n${b.code}\n\`\`\`\n\n`; });
+      if (args.section) {
+        const sections = selectDocsSection(content.sections, args.section);
+        if (sections.length === 0) {
+          throw new StorybookError("not_found", `No section of ${path} matches "${args.section}".`, { suggestions: content.sections.filter(s => s.heading).map(s => s.id) });
         }
-        return { content: [{ type: "text", text: response }] };
+        const text = format === "structured" ? JSON.stringify({ title: content.title, importPath: content.importPath, sections }, null, 2) : formatSectionMarkdown(content, sections, path);
+        return { content: [{ type: "text", text }] };
+      }
+      if (format === "markdown" && content.rawMarkdown) {
+        return { content: [{ type: "text", text: formatPageMarkdown(content, path) }] };
       }
       return { content: [{ type: "text", text: JSON.stringify(content, null, 2) }] };
     }
 
     case "screenshot": {
-      const client = await getStorybookBrowser();
+      const client = await session.getStorybookBrowser(args.source);
+      const output = { crop: args.crop, scale: args.scale, format: args.format, quality: args.quality };
+      if (args.matrix) {
+        const { images, mimeType } = await client.captureMatrix(args.path, {
+          ...output, crop: args.crop || "root", args: args.args,
+          viewports: args.matrix.viewports || (args.viewport ? [args.viewport] : []),
+          globals: args.matrix.globals || (args.globals ? [args.globals] : []),
+          layout: args.matrix.layout,
+        });
+        return { content: images.flatMap(({ label, image }) => [{ type: "text", text: label }, { type: "image", data: image.toString("base64"), mimeType }]) };
+      }
+      const result = await client.renderStory(args.path, { args: args.args, globals: args.globals, viewport: args.viewport, captureHtml: false, ...output });
+      return { content: [{ type: "image", data: result.screenshot.toString("base64"), mimeType: result.mimeType }] };
+    }
+
+    case "render_story": {
+      const client = await session.getStorybookBrowser(args.source);
+      const result = await client.renderStory(args.path, { args: args.args, globals: args.globals, viewport: args.viewport, crop: args.crop, scale: args.scale, format: args.format, quality: args.quality });
+      const html = result.html.length > 20000 ? result.html.slice(0, 20000) + "\n<!-- truncated -->" : result.html;
+      let response = `# Rendered: ${args.path}\n\n**URL:** ${result.url}\n\n`;
+      response += result.consoleErrors.length > 0
+        ? `## Console Errors (${result.consoleErrors.length})\n\n${result.consoleErrors.map(e => `- ${e}`).join("\n")}\n\n`
+        : "## Console Errors\n\nNone\n\n";
+      response += `## HTML\n\n\`\`\`html\n${html}\n\`\`\`\n`;
+      return {
+        content: [
+          { type: "image", data: result.screenshot.toString("base64"), mimeType: result.mimeType },
+          { type: "text", text: response }
+        ]
+      };
+    }
+
+    case "visual_snapshot": {
+      if (args.dir) session.assertLocalAccess("dir");
+      const client = await session.getStorybookBrowser(args.source);
+      const dir = snapshotDirFor(args.dir || DEFAULT_SNAPSHOT_DIR, client.sourceUrl);
+      let storyIds = args.paths || [];
+      if (args.component) {
+        const { component } = await client.getComponentEntries(args.component);
+        if (!component) throw await client.notFoundError(args.component, "component");
+        storyIds = [...storyIds, ...component.stories.map(s => s.id)];
+      }
+
+      if (args.action === "list") {
+        const manifest = await readSnapshotManifest(dir);
+        const ids = Object.keys(manifest.stories);
+        let response = `# Baselines (${ids.length})\n\n**Directory:** ${dir}\n\n`;
+        ids.forEach(id => { response += `- \`${id}\` (${manifest.stories[id].updatedAt})\n`; });
+        return { content: [{ type: "text", text: response }] };
+      }
+
+      if (args.action === "baseline") {
+        if (storyIds.length === 0) return { content: [{ type: "text", text: "Provide paths or component to snapshot." }] };
+        const results = await saveBaselines(client, storyIds, dir, { viewport: args.viewport });
+        let response = `# Baselines saved\n\n**Directory:** ${dir}\n\n`;
+        results.forEach(r => { response += r.status === "saved" ? `- \`${r.storyId}\`: saved\n` : `- \`${r.storyId}\`: error – ${r.error}\n`; });
+        return { content: [{ type: "text", text: response }] };
+      }
+
+      if (args.action === "compare") {
+        const results = await compareWithBaselines(client, storyIds, dir, { threshold: args.threshold, includeAA: args.includeAA, failureThreshold: args.failureThreshold });
+        const changed = results.filter(r => r.status === "changed");
+        let response = `# Visual comparison\n\n**Directory:** ${dir}\n**Changed:** ${changed.length} of ${results.length}\n\n`;
+        results.forEach(r => {
+          if (r.status === "changed" || r.status === "unchanged") {
+            response += `- \`${r.storyId}\`: ${r.status} (${(r.diffRatio * 100).toFixed(2)}% pixels, ${r.diffPixels} px${r.sizeChanged ? ", size changed" : ""})\n`;
+          } else {
+            response += `- \`${r.storyId}\`: ${r.status}${r.error ? ` – ${r.error}` : ""}\n`;
+          }
+        });
+        if (changed.length > MAX_DIFF_IMAGES) response += `\nShowing ${MAX_DIFF_IMAGES} diff images; all diffs are in ${join(dir, "diff")}.\n`;
+        const images = changed.slice(0, MAX_DIFF_IMAGES).map(r => ({ type: "image", data: r.diffImage.toString("base64"), mimeType: "image/png" }));
+        return { content: [{ type: "text", text: response }, ...images] };
+      }
+
+      throw new StorybookError("invalid_input", `Unknown action: ${args.action}. Use baseline, compare or list.`);
+    }
+
+    case "a11y_audit": {
+      const client = await session.getStorybookBrowser(args.source);
+      let targets = args.path ? [args.path] : [];
+      if (args.component) {
+        const { component } = await client.getComponentEntries(args.component);
+        if (!component) throw await client.notFoundError(args.component, "component");
+        targets.push(...component.stories.map(s => s.id));
+      }
+      if (args.category) {
+        const fullNav = await client.getFullNavigation();
+        fullNav.categories
+          .filter(cat => cat.name.toLowerCase().includes(args.category.toLowerCase()))
+          .forEach(cat => cat.components.forEach(comp => targets.push(...comp.stories.map(s => s.id))));
+      }
+      if (targets.length === 0) return { content: [{ type: "text", text: "Provide path, component or category to audit." }] };
+      const limit = args.limit || 50;
+      const skipped = Math.max(0, targets.length - limit);
+      targets = targets.slice(0, limit);
+
+      // A single story that cannot be audited is an error; in batches it is reported per story.
+      const single = !args.component && !args.category;
+      const audits = await Promise.all(targets.map(target => {
+        const audit = client.auditAccessibility(target, { tags: args.tags });
+        if (single) return audit;
+        return audit.catch(error => {
+          const { category, message } = toStorybookError(error);
+          return { storyId: target, error: `[${category}] ${message}`, violations: [] };
+        });
+      }));
+      const totals = Object.fromEntries(IMPACT_ORDER.map(impact => [impact, 0]));
+      audits.forEach(a => a.violations.forEach(v => { totals[v.impact] = (totals[v.impact] || 0) + 1; }));
+      const failed = audits.filter(a => a.error).length;
+      let response = `# Accessibility Audit\n\n**Audited:** ${audits.length - failed}${failed ? ` (${failed} failed to render)` : ""}${skipped ? ` (${skipped} more skipped, raise limit to include them)` : ""}\n`;
+      response += `**Violations:** ${IMPACT_ORDER.map(i => `${totals[i]} ${i}`).join(", ")}\n\n`;
+      response += formatA11yReport(audits);
+      return { content: [{ type: "text", text: response }] };
+    }
+
+    case "inspect_story": {
+      const client = await session.getStorybookBrowser(args.source);
+      const result = await client.inspectStory(args.path, {
+        args: args.args, globals: args.globals, viewport: args.viewport,
+        selector: args.selector, variables: args.variables, depth: args.depth, maxNodes: args.maxNodes,
+      });
+      const text = args.format === "structured" ? JSON.stringify(result, null, 2) : formatInspection(result, args.path);
+      return { content: [{ type: "text", text }] };
+    }
+
+    case "run_interactions": {
+      const client = await session.getStorybookBrowser(args.source);
+      const storyIds = args.path ? [args.path] : [];
+      if (args.component) {
+        const { component } = await client.getComponentEntries(args.component);
+        if (!component) throw await client.notFoundError(args.component, "component");
+        storyIds.push(...component.stories.map(s => s.id));
+      }
+      if (storyIds.length === 0) return { content: [{ type: "text", text: "Provide path or component to run." }] };
+
+      const results = await Promise.all(storyIds.map(storyId =>
+        client.runInteractions(storyId, { timeout: args.timeout })
+          .catch(error => ({ storyId, status: "error", steps: [], error: { message: error.message || String(error) }, failingStep: null }))
+      ));
+      const count = status => results.filter(r => r.status === status).length;
+      const icons = { done: "✓", error: "✗", active: "…", waiting: "…" };
+      let response = `# Interactions\n\n**Passed:** ${count("passed")}  **Failed:** ${count("failed") + count("error")}  **Timed out:** ${count("timeout")}  **No play function:** ${count("no-play")}\n\n`;
+      for (const r of results) {
+        response += `## ${r.storyId}: ${r.status}${r.durationMs ? ` (${r.durationMs} ms)` : ""}\n\n`;
+        if (r.failingStep) response += `**Failing step:** ${r.failingStep}\n`;
+        if (r.error) response += `**Error:** ${r.error.message}\n`;
+        if (r.failingStep || r.error) response += "\n";
+        if (r.steps.length > 0) {
+          r.steps.forEach(step => { response += `${"  ".repeat(step.depth)}- ${icons[step.status] || "•"} ${step.label}\n`; });
+          response += "\n";
+        }
+      }
+      return { content: [{ type: "text", text: response }] };
+    }
+
+    case "export": {
+      session.assertLocalAccess("export");
+      const client = await session.getStorybookBrowser(args.source);
+      const progressToken = extra?._meta?.progressToken;
+      const manifest = await exportStorybook(client, {
+        outDir: args.outDir,
+        category: args.category,
+        includeStories: args.includeStories !== false,
+        llmsTxt: args.llmsTxt !== false,
+        onProgress: (progress, total, id) => {
+          if (progressToken === undefined) return;
+          extra.sendNotification({ method: "notifications/progress", params: { progressToken, progress, total, message: id } }).catch(() => {});
+        },
+      });
+      let response = `# Export complete\n\n**Directory:** ${args.outDir}\n**Exported:** ${manifest.totals.exported} of ${manifest.totals.entries}\n**Failed:** ${manifest.totals.failed}\n\n`;
+      if (manifest.failures.length > 0) {
+        response += "## Failures\n\n";
+        manifest.failures.forEach(f => { response += `- \`${f.id}\`: ${f.error}\n`; });
+      }
+      return { content: [{ type: "text", text: response }] };
+    }
+
+    case "diagnose": {
+      return { content: [{ type: "text", text: formatDiagnosis(await diagnose(session, args.source)) }] };
+    }
+
+    case "cache": {
+      if (args.action === "clear") {
+        if (args.all) {
+          session.assertLocalAccess("Clearing every cache");
+          const removed = await StorybookCache.clearAll();
+          return { content: [{ type: "text", text: `Cleared ${removed} cached Storybook(s) in ${DEFAULT_CACHE_DIR}` }] };
+        }
+        const client = await session.getStorybookBrowser(args.source);
+        await client.cache.clear();
+        return { content: [{ type: "text", text: `Cleared cache for ${client.sourceUrl}` }] };
+      }
+      // Remote clients only see the caches of their own connections, not which Storybooks other clients use.
+      const own = new Set(Array.from(session.connections.values(), c => c.browser?.sourceUrl || (isValidStorybookUrl(c.url) ? c.url : null)).filter(Boolean).map(storybookKey));
+      const summaries = (await StorybookCache.list()).filter(c => !session.remote || (c.baseUrl && own.has(storybookKey(c.baseUrl))));
+      if (summaries.length === 0) return { content: [{ type: "text", text: `Cache is empty (${DEFAULT_CACHE_DIR})` }] };
+      let response = `# Cache\n\n**Directory:** ${DEFAULT_CACHE_DIR}\n\n`;
+      summaries.forEach(c => {
+        response += `- **${c.baseUrl}**: ${c.entries} index entries, ${c.docs} cached docs, ${(c.size / 1024).toFixed(1)} KB`;
+        response += c.fetchedAt ? `, index fetched ${c.fetchedAt}${c.etag ? ` (ETag ${c.etag})` : ""}\n` : "\n";
+      });
+      return { content: [{ type: "text", text: response }] };
+    }
+
+    default:
+      throw new StorybookError("invalid_input", `Unknown tool: ${name}`);
+  }
+}
+
+// ============================================================================
+// Resources and prompts
+// ============================================================================
+
+const RESOURCE_PAGE_SIZE = 500;
+const RESOURCE_POLL_MS = 30 * 1000;
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "storybook://{alias}/docs/{id}",
+    name: "Storybook docs page",
+    description: "Docs page of a connected Storybook as Markdown, e.g. storybook://default/docs/components-button--docs",
+    mimeType: "text/markdown"
+  },
+  {
+    uriTemplate: "storybook://{alias}/story/{id}",
+    name: "Storybook story",
+    description: "A story's usage snippet, props and file paths as Markdown, e.g. storybook://default/story/components-button--primary",
+    mimeType: "text/markdown"
+  }
+];
+
+function resourceUri(alias, id, type) {
+  return `storybook://${encodeURIComponent(alias)}/${type === "docs" ? "docs" : "story"}/${encodeURIComponent(id)}`;
+}
+
+function parseResourceUri(uri) {
+  const match = /^storybook:\/\/([^/]+)\/(docs|story)\/(.+)$/.exec(uri);
+  if (!match) throw new Error(`Unknown resource URI: ${uri}. Expected storybook://<alias>/docs/<id> or storybook://<alias>/story/<id>.`);
+  return { alias: decodeURIComponent(match[1]), kind: match[2], id: decodeURIComponent(match[3]) };
+}
+
+// Entries of a connection without opening it: what its browser knows once open, the on-disk cached index until then.
+async function connectionEntries(connection) {
+  if (connection.browser) return connection.browser.getIndexEntries();
+  const dir = isValidStorybookUrl(connection.url) ? null : localStorybookDir(connection.url);
+  const index = await StorybookCache.for(dir ? pathToFileURL(dir).href : connection.url).getIndex();
+  return index?.data?.entries || index?.data?.stories || {};
+}
+
+/**
+ * Every docs page and story of every connection, paged by RESOURCE_PAGE_SIZE with an offset
+ * cursor. Listing never launches a browser; connections not opened yet list their cached index.
+ */
+async function listResources(session, cursor) {
+  const resources = [];
+  for (const [alias, connection] of session.connections) {
+    try {
+      for (const [id, entry] of Object.entries(await connectionEntries(connection))) {
+        resources.push({
+          uri: resourceUri(alias, id, entry.type),
+          name: id,
+          title: `${entry.title}${entry.name && entry.type !== "docs" ? ` / ${entry.name}` : ""}`,
+          description: `${entry.type === "docs" ? "Docs" : "Story"}${entry.importPath ? ` from ${entry.importPath}` : ""}${session.connections.size > 1 ? ` (${alias})` : ""}`,
+          mimeType: "text/markdown"
+        });
+      }
+    } catch (error) {
+      console.error(`Could not list resources of ${alias}:`, error.message || error);
+    }
+  }
+  const offset = Number(cursor) || 0;
+  const next = offset + RESOURCE_PAGE_SIZE;
+  return { resources: resources.slice(offset, next), ...(next < resources.length && { nextCursor: String(next) }) };
+}
+
+async function readResource(session, uri) {
+  const { alias, kind, id } = parseResourceUri(uri);
+  const client = await session.getStorybookBrowser(alias);
+  let text;
+  if (kind === "docs") {
+    const content = await client.getPageContent(id, "markdown");
+    text = formatPageMarkdown(content, id);
+  } else {
+    const content = await client.getStoryContent(id);
+    text = formatStoryMarkdown(content, id);
+  }
+  return { contents: [{ uri, mimeType: "text/markdown", text }] };
+}
+
+const PROMPTS = [
+  {
+    name: "implement-with-component",
+    description: "Implement UI using a design-system component, with its docs and props attached",
+    arguments: [
+      { name: "component", description: "Component name or docs/story ID, e.g. Button", required: true },
+      { name: "task", description: "What to build", required: false },
+      { name: "source", description: "Connection alias (default: active connection)", required: false }
+    ]
+  },
+  {
+    name: "review-component-usage",
+    description: "Review code that uses a design-system component against its documented props and examples",
+    arguments: [
+      { name: "component", description: "Component name or docs/story ID", required: true },
+      { name: "code", description: "The code to review", required: true },
+      { name: "source", description: "Connection alias (default: active connection)", required: false }
+    ]
+  },
+  {
+    name: "find-component",
+    description: "Find the design-system component that fits a UI need before writing a custom one",
+    arguments: [
+      { name: "need", description: "What the UI needs to do, e.g. 'pick a date range'", required: true },
+      { name: "source", description: "Connection alias (default: active connection)", required: false }
+    ]
+  }
+];
+
+// Docs page (or first story) of a component as an embedded resource, or null if it is unknown.
+async function componentResource(session, componentName, source) {
+  const client = await session.getStorybookBrowser(source);
+  const { component } = await client.getComponentEntries(componentName);
+  if (!component) return null;
+  const entry = component.docs || component.stories[0];
+  const alias = source || session.activeAlias;
+  const { contents } = await readResource(session, resourceUri(alias, entry.id, entry.type));
+  return { component, resource: contents[0] };
+}
+
+async function getPrompt(session, name, args = {}) {
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) throw new Error(`Unknown prompt: ${name}. Available: ${PROMPTS.map(p => p.name).join(", ")}`);
+  for (const argument of prompt.arguments) {
+    if (argument.required && !args[argument.name]) throw new Error(`Prompt ${name} requires the "${argument.name}" argument.`);
+  }
+
+  if (name === "find-component") {
+    return {
+      description: prompt.description,
+      messages: [{
+        role: "user",
+        content: {
+          type: "text",
+          text: `I need UI that can: ${args.need}\n\nUse the Storybook search tool${args.source ? ` (source: "${args.source}")` : ""} to find existing design-system components for this. Compare the best candidates with get_docs, recommend one with a short usage example based on its documented props, and only suggest a custom component if nothing fits.`
+        }
+      }]
+    };
+  }
+
+  const found = await componentResource(session, args.component, args.source);
+  const context = found
+    ? { role: "user", content: { type: "resource", resource: found.resource } }
+    : { role: "user", content: { type: "text", text: `No Storybook entry matched "${args.component}". Use the search tool to find the right component first.` } };
+  const text = name === "implement-with-component"
+    ? `Implement ${args.task || "the requested UI"} using the design-system component ${found?.component.name || args.component}. Use only props documented in the attached docs, follow its usage examples and import it from the path they show. Do not re-implement styles the component already provides.`
+    : `Review this code's use of ${found?.component.name || args.component} against the attached docs. Flag props that do not exist, wrong value types, missing required props and patterns that contradict the documented examples, and suggest fixes.\n\n\`\`\`\n${args.code}\n\`\`\``;
+  return { description: prompt.description, messages: [context, { role: "user", content: { type: "text", text } }] };
+}
+
+function createMcpServer(session) {
+  const server = new Server(
+    { name: "storybook-mcp", version: "1.0.0" },
+    { capabilities: { tools: {}, resources: { subscribe: true, listChanged: true }, prompts: {} } }
+  );
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    try {
+      return await handleToolCall(request.params.name, request.params.arguments || {}, session, extra);
+    } catch (error) {
+      return errorResult(error);
+    }
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async request => listResources(session, request.params?.cursor));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+  server.setRequestHandler(ReadResourceRequestSchema, async request => readResource(session, request.params.uri));
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: PROMPTS }));
+  server.setRequestHandler(GetPromptRequestSchema, async request => getPrompt(session, request.params.name, request.params.arguments));
+
+  // While a client is subscribed, poll index.json so edits reach it without a tool call.
+  const subscriptions = new Set();
+  let poll = null;
+  const updatePolling = () => {
+    if (subscriptions.size > 0 && !poll) {
+      poll = setInterval(() => {
+        for (const connection of session.connections.values()) connection.browser?.fetchIndexJson().catch(() => {});
+      }, RESOURCE_POLL_MS);
+      poll.unref();
+    } else if (subscriptions.size === 0 && poll) {
+      clearInterval(poll);
+      poll = null;
+    }
+  };
+  server.setRequestHandler(SubscribeRequestSchema, async request => {
+    parseResourceUri(request.params.uri);
+    subscriptions.add(request.params.uri);
+    updatePolling();
+    return {};
+  });
+  server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+    subscriptions.delete(request.params.uri);
+    updatePolling();
+    return {};
+  });
+  server.onclose = () => { subscriptions.clear(); updatePolling(); };
+
+  session.onIndexChange = (alias, { changed, listChanged }) => {
+    if (listChanged) server.sendResourceListChanged().catch(() => {});
+    for (const id of changed) {
+      for (const uri of [resourceUri(alias, id, "docs"), resourceUri(alias, id, "story")]) {
+        if (subscriptions.has(uri)) server.sendResourceUpdated({ uri }).catch(() => {});
+      }
+    }
+  };
+  return server;
+}
+
+function parseCliOptions(argv) {
+  const options = {
+    command: null,
+    positional: [],
+    transport: (process.env.MCP_TRANSPORT || "stdio").toLowerCase(),
+    port: Number(process.env.MCP_PORT || process.env.PORT) || 3000,
+    host: process.env.MCP_HOST || "127.0.0.1",
+    authToken: (process.env.MCP_AUTH_TOKEN || "").trim() || null,
+    sessionIdleMinutes: Number(process.env.MCP_SESSION_IDLE_MINUTES) || 30,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const eq = argv[i].startsWith("--") ? argv[i].indexOf("=") : -1;
+    const flag = eq < 0 ? argv[i] : argv[i].slice(0, eq);
+    const inline = eq < 0 ? undefined : argv[i].slice(eq + 1);
+    const value = () => inline ?? argv[++i];
+    if (flag === "--transport") options.transport = value().toLowerCase();
+    else if (flag === "--http") options.transport = "http";
+    else if (flag === "--port") options.port = Number(value());
+    else if (flag === "--host") options.host = value();
+    else if (flag === "--auth-token") options.authToken = value();
+    else if (flag === "--session-idle") options.sessionIdleMinutes = Number(value());
+    else if (flag === "--out") options.outDir = value();
+    else if (flag === "--category") options.category = value();
+    else if (flag === "--no-stories") options.includeStories = false;
+    else if (flag === "--no-llms-txt") options.llmsTxt = false;
+    else if (!flag.startsWith("--")) options.positional.push(argv[i]);
+  }
+  if (options.positional[0] === "export") options.command = options.positional.shift();
+  return options;
+}
+
+function isAuthorized(req, token) {
+  if (!token) return true;
+  const header = req.headers.authorization || "";
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(header);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// JSON-RPC bodies are small; anything past this is refused with 413 instead of buffered whole.
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => reject(Object.assign(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`), { status: 413 }));
+    if (Number(req.headers["content-length"]) > MAX_BODY_BYTES) return tooLarge();
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) return chunks.push(chunk);
+      req.off("data", onData).off("end", onEnd).pause();
+      tooLarge();
+    };
+    const onEnd = () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
       try {
-        const screenshot = await client.takeScreenshot(args.path);
-        return { content: [{ type: "image", data: screenshot.toString("base64"), mimeType: "image/png" }] };
+        resolve(raw ? JSON.parse(raw) : undefined);
       } catch (error) {
-        return { content: [{ type: "text", text: `Screenshot failed: ${error}` }] };
+        reject(error);
       }
+    };
+    req.on("data", onData).on("end", onEnd).on("error", reject);
+  });
+}
+
+/**
+ * Streamable HTTP mode: one long-running process serving many MCP clients on /mcp.
+ * Each MCP session gets its own Server and Session (so connections and the active alias
+ * are per client) while all of them share one Chromium through getSharedBrowser().
+ */
+async function startHttpServer({ port, host, authToken, sessionIdleMinutes = 30 }) {
+  const sessions = new Map();
+
+  // Clients that vanish without closing their session would otherwise keep its transport and browser forever.
+  const idleMs = sessionIdleMinutes * 60 * 1000;
+  const sweep = setInterval(() => {
+    for (const [id, entry] of sessions) {
+      if (Date.now() - entry.lastSeen < idleMs) continue;
+      console.error(`Closing idle session ${id}`);
+      sessions.delete(id);
+      entry.transport.close().catch(error => console.error("Failed to close idle session:", error));
     }
+  }, Math.min(idleMs, 60 * 1000));
+  sweep.unref();
 
-    default:
-      throw new Error(`Unknown tool: ${name}`);
+  const httpServer = createServer(async (req, res) => {
+    const sendError = (status, message) => {
+      if (res.headersSent) return;
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32000, message }, id: null }));
+    };
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname === "/health") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ status: "ok", sessions: sessions.size }));
+      return;
+    }
+    if (pathname !== "/mcp") return sendError(404, "Not found");
+    if (!isAuthorized(req, authToken)) {
+      res.setHeader("WWW-Authenticate", "Bearer");
+      return sendError(401, "Unauthorized");
+    }
+
+    try {
+      const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+      const sessionId = req.headers["mcp-session-id"];
+      let entry = sessionId ? sessions.get(sessionId) : null;
+
+      if (!entry) {
+        if (sessionId) return sendError(404, "Session not found");
+        if (req.method !== "POST" || !isInitializeRequest(body)) return sendError(400, "No valid session ID provided");
+        const session = new Session("http", { remote: true });
+        const transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: id => { session.id = id; sessions.set(id, entry); },
+        });
+        transport.onclose = () => {
+          if (!transport.sessionId) return;
+          sessions.delete(transport.sessionId);
+          session.close().catch(error => console.error("Failed to close session:", error));
+        };
+        entry = { transport, session, lastSeen: Date.now() };
+        await createMcpServer(session).connect(transport);
+      }
+      entry.lastSeen = Date.now();
+      await entry.transport.handleRequest(req, res, body);
+      entry.lastSeen = Date.now();
+    } catch (error) {
+      if (error.status === 413) {
+        res.setHeader("Connection", "close");
+        return sendError(413, "Request body too large");
+      }
+      console.error("HTTP request failed:", error);
+      sendError(error instanceof SyntaxError ? 400 : 500, error instanceof SyntaxError ? "Invalid JSON" : "Internal server error");
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+  console.error(`Storybook MCP listening on http://${host}:${port}/mcp${authToken ? " (bearer token required)" : ""}`);
+  if (!authToken && host !== "127.0.0.1" && host !== "localhost") console.error("Warning: no MCP_AUTH_TOKEN set while listening on a non-local address");
+
+  return async () => {
+    clearInterval(sweep);
+    for (const { transport, session } of sessions.values()) {
+      await transport.close().catch(() => {});
+      await session.close();
+    }
+    httpServer.close();
+  };
+}
+
+// `storybook-mcp export <url> --out <dir>`: one-shot export without an MCP client.
+async function runExportCommand({ positional, outDir, category, includeStories, llmsTxt }) {
+  const url = positional[0] || process.env.STORYBOOK_URL;
+  if (!url || !outDir) throw new Error("Usage: storybook-mcp export <storybook-url|storybook-static dir> --out <dir> [--category <name>] [--no-stories] [--no-llms-txt]");
+  const session = new Session("cli");
+  try {
+    await session.connect(url, DEFAULT_ALIAS, authFromEnv());
+    const client = await session.getStorybookBrowser();
+    const manifest = await exportStorybook(client, {
+      outDir, category, includeStories, llmsTxt,
+      onProgress: (progress, total, id) => console.error(`[${progress}/${total}] ${id}`),
+    });
+    console.error(`Exported ${manifest.totals.exported} of ${manifest.totals.entries} to ${outDir} (${manifest.totals.failed} failed)`);
+    manifest.failures.forEach(f => console.error(`  failed: ${f.id}: ${f.error}`));
+  } finally {
+    await session.close();
+    await closeSharedBrowser();
   }
 }
 
 async function main() {
-  const server = new Server({ name: "storybook-mcp", version: "1.0.0" }, { capabilities: { tools: {} } });
-  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
-  server.setRequestHandler(CallToolRequestSchema, async (request) => handleToolCall(request.params.name, request.params.arguments || {}));
+  const options = parseCliOptions(process.argv.slice(2));
+  let shutdown;
+
+  if (options.command === "export") {
+    await runExportCommand(options);
+    return;
+  }
 
-  process.on("SIGINT", async () => { if (storybookBrowser) await storybookBrowser.close(); process.exit(0); });
-  process.on("SIGTERM", async () => { if (storybookBrowser) await storybookBrowser.close(); process.exit(0); });
+  if (options.transport === "http") {
+    shutdown = await startHttpServer(options);
+  } else if (options.transport === "stdio") {
+    const session = new Session();
+    await createMcpServer(session).connect(new StdioServerTransport());
+    shutdown = () => session.close();
+    const configured = Array.from(session.connections.values()).map(c => `${c.alias}=${c.url}`).join(", ");
+    console.error(configured ? `Storybook MCP (connected: ${configured})` : "Storybook MCP (use the connect tool to set a URL)");
+  } else {
+    throw new Error(`Unknown transport "${options.transport}". Use stdio or http.`);
+  }
 
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error(currentStorybookUrl ? `Storybook MCP (connected: ${currentStorybookUrl})` : "Storybook MCP (use the connect tool to set a URL)");
+  const exit = async () => { await shutdown(); await closeSharedBrowser(); process.exit(0); };
+  process.on("SIGINT", exit);
+  process.on("SIGTERM", exit);
 }
 
 main().catch(error => { console.error("Fatal:", error); process.exit(1); });